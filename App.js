@@ -16,12 +16,17 @@ try {
   console.warn('Could not set RoutemeAsyncStorage global:', e?.message || e);
 }
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { StyleSheet } from 'react-native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { LocationProvider } from './src/context/LocationContext';
 import HomeScreen from './src/screens/HomeScreen';
 import SplashScreen from './src/components/SplashScreen';
+// Registers the background location task; must run when the app starts
+import './src/utils/backgroundLocation';
+
+// Longest the splash waits for HomeScreen to be ready (ms)
+const SPLASH_MAX_MS = 4000;
 
 /**
  * RouteMe App
@@ -32,18 +37,20 @@ import SplashScreen from './src/components/SplashScreen';
  */
 export default function App() {
   const [showSplash, setShowSplash] = useState(true);
+  const [appReady, setAppReady] = useState(false);
+  const handleSplashFinish = useCallback(() => setShowSplash(false), []);
 
   useEffect(() => {
-    // Keep splash for a short moment (component will also auto-hide itself via Animated)
-    const t = setTimeout(() => setShowSplash(false), 1400);
+    // Never keep the splash up indefinitely if startup stalls; HomeScreen has its own loading state
+    const t = setTimeout(() => setAppReady(true), SPLASH_MAX_MS);
     return () => clearTimeout(t);
   }, []);
 
   return (
     <SafeAreaProvider>
       <LocationProvider>
-        <HomeScreen />
-        {showSplash && <SplashScreen onFinish={() => setShowSplash(false)} duration={1200} />}
+        <HomeScreen onReady={() => setAppReady(true)} />
+        {showSplash && <SplashScreen onFinish={handleSplashFinish} duration={1200} ready={appReady} />}
       </LocationProvider>
     </SafeAreaProvider>
   );
@@ -1,3 +1,5 @@
 declare module '@env' {
   export const GOOGLE_MAPS_API_KEY: string;
+  export const ROUTING_PROVIDER: string | undefined;
+  export const OSRM_BASE_URL: string | undefined;
 }
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -6,11 +6,29 @@ import {
   TouchableOpacity,
   Animated,
   Easing,
+  ActivityIndicator,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useLocation } from '../context/LocationContext';
 import { Ionicons } from '@expo/vector-icons';
-import { formatDistance, formatDuration, calculateDistance, remainingDistanceAlongRoute } from '../utils/mapHelpers';
+import {
+  formatDistance,
+  formatDuration,
+  calculateDistance,
+  distanceToStepEnd,
+} from '../utils/mapHelpers';
+import { getManeuverIcon } from '../utils/maneuvers';
+import { remainingRouteSeconds, recentSpeedMps, blendRemainingSeconds, formatClockTime } from '../utils/eta';
+import { getTrafficRatio } from '../utils/traffic';
+
+// Number of recent fixes kept for the measured speed estimate
+const SPEED_SAMPLE_COUNT = 10;
+
+// Shown while the GPS signal is too weak for reliable guidance
+const GPS_QUALITY_WARNINGS = {
+  poor: 'Weak GPS signal',
+  lost: 'GPS signal lost',
+};
 
 /**
  * ActiveJourneyBar Component
@@ -19,54 +37,94 @@ import { formatDistance, formatDuration, calculateDistance, remainingDistanceAlo
  */
 const ActiveJourneyBar = ({ onExpand, onCancel }) => {
   const insets = useSafeAreaInsets();
-  const { routeInfo, isJourneyActive, destination, currentLocation, routeCoordinates } = useLocation();
+  const {
+    routeInfo,
+    isJourneyActive,
+    isRerouting,
+    destination,
+    currentLocation,
+    locationQuality,
+    routeProgress,
+    stops,
+    currentStopIndex,
+    currentStepIndex,
+    isVoiceMuted,
+    toggleVoiceMuted,
+  } = useLocation();
 
   // Animated percent value and helpers must be declared unconditionally to preserve hook order
   const animatedPercent = useRef(new Animated.Value(0)).current;
+  // Live progress: percent complete, remaining distance (km) and remaining time (s)
+  const [progress, setProgress] = useState({ percent: 0, remainingKm: null, remainingSeconds: null });
+  // Recent fixes ({ latitude, longitude, time }) for measuring actual speed
+  const recentFixesRef = useRef([]);
 
-  const computePercent = () => {
-    try {
-      const totalKm = routeInfo?.distance || 0; // in km
-      if (!currentLocation || !destination || totalKm <= 0) return 0;
-
-      // Prefer route-based remaining distance
-      let remainingKm = null;
-      if (routeCoordinates && routeCoordinates.length > 0) {
-        remainingKm = remainingDistanceAlongRoute(currentLocation, routeCoordinates);
-      }
-
-      // Fallback to straight-line
-      if (remainingKm === null || Number.isNaN(remainingKm)) {
-        remainingKm = calculateDistance(currentLocation, { latitude: destination.latitude, longitude: destination.longitude });
-      }
-
-      const prog = (totalKm - remainingKm) / totalKm;
-      const pct = Math.max(0, Math.min(100, Math.round(prog * 100)));
-      return pct;
-    } catch (e) {
-      return 0;
-    }
+  const computeRemainingKm = () => {
+    if (!currentLocation || !destination) return null;
+
+    // Prefer route-based remaining distance while the user is matched to the route
+    if (routeProgress?.onRoute) return routeProgress.remainingKm;
+
+    // Fallback to straight-line
+    return calculateDistance(currentLocation, { latitude: destination.latitude, longitude: destination.longitude });
   };
-  // Update animation when location/route changes — declared unconditionally to keep Hooks order stable
+
+  // Start every journey with a fresh speed history
   useEffect(() => {
-    const pct = computePercent();
+    recentFixesRef.current = [];
+  }, [isJourneyActive]);
+
+  // Update progress, ETA and animation when location/route changes — declared unconditionally to keep Hooks order stable
+  useEffect(() => {
+    const lastFix = recentFixesRef.current[recentFixesRef.current.length - 1];
+    const isNewFix = !lastFix || lastFix.latitude !== currentLocation?.latitude || lastFix.longitude !== currentLocation?.longitude;
+    if (isJourneyActive && currentLocation && isNewFix) {
+      const fixes = [...recentFixesRef.current, { latitude: currentLocation.latitude, longitude: currentLocation.longitude, time: currentLocation.timestamp || Date.now() }];
+      recentFixesRef.current = fixes.slice(-SPEED_SAMPLE_COUNT);
+    }
+
+    const remainingKm = computeRemainingKm();
+    // Measured along the route polyline; off the route it holds where the user left it
+    const pct = routeProgress ? Math.round(routeProgress.percent) : 0;
+
+    const steps = routeInfo?.steps || [];
+    const stepSeconds = remainingRouteSeconds(
+      steps,
+      currentStepIndex,
+      distanceToStepEnd(currentLocation, steps[currentStepIndex])
+    );
+    // Step durations are typical times; scale them by the route's traffic delay
+    const routeSeconds = stepSeconds !== null ? stepSeconds * getTrafficRatio(routeInfo) : null;
+    const remainingSeconds = blendRemainingSeconds(routeSeconds, remainingKm, recentSpeedMps(recentFixesRef.current));
+
+    setProgress({ percent: pct, remainingKm, remainingSeconds });
     Animated.timing(animatedPercent, {
       toValue: pct,
       duration: 500,
       easing: Easing.out(Easing.cubic),
       useNativeDriver: false,
     }).start();
-  }, [currentLocation?.latitude, currentLocation?.longitude, destination?.latitude, destination?.longitude, routeInfo?.distance, routeCoordinates && routeCoordinates.length]);
+  }, [currentLocation?.latitude, currentLocation?.longitude, destination?.latitude, destination?.longitude, routeInfo, currentStepIndex, routeProgress, isJourneyActive]);
 
   if (!isJourneyActive || !routeInfo) {
     return null;
   }
 
-  // Get the first step as current instruction
-  const currentInstruction = routeInfo.steps?.[0]?.instruction || 'Continue on route';
-  // Show total route distance (keep consistent with LocationDetailsModal)
-  const totalDistanceKm = routeInfo?.distance || 0;
-  const distanceLabel = formatDistance(totalDistanceKm);
+  // Each step's instruction describes the maneuver at its start, so while on step N
+  // the upcoming maneuver is step N + 1, reached at the end of step N
+  const steps = routeInfo.steps || [];
+  const currentStep = steps[currentStepIndex];
+  const nextStep = steps[currentStepIndex + 1];
+  const currentInstruction = nextStep?.instruction || (currentStep ? 'Arrive at destination' : 'Continue on route');
+  const maneuverIcon = nextStep ? getManeuverIcon(nextStep.maneuver) : 'flag';
+  const maneuverDistanceKm = distanceToStepEnd(currentLocation, currentStep);
+  const isMultiStop = stops && stops.length > 1;
+  const nextStop = isMultiStop ? stops[currentStopIndex] : null;
+  // Remaining distance/time fall back to the route totals until the first progress update
+  const remainingKm = progress.remainingKm !== null ? progress.remainingKm : routeInfo.distance || 0;
+  const remainingMinutes = progress.remainingSeconds !== null ? progress.remainingSeconds / 60 : routeInfo.durationInTraffic || routeInfo.duration || 0;
+  const distanceLabel = `${formatDistance(remainingKm)} · ${formatDuration(remainingMinutes)}`;
+  const arrivalLabel = `Arrive ${formatClockTime(Date.now() + remainingMinutes * 60000)}`;
 
   return (
     <View style={[styles.container, { bottom: insets.bottom + 20 }]}>
@@ -83,10 +141,43 @@ const ActiveJourneyBar = ({ onExpand, onCancel }) => {
             {destination?.favorite && (
               <Ionicons name="star" size={16} color="#F6C90E" style={{ marginBottom: 6 }} />
             )}
-            <Text style={styles.distanceText}>{distanceLabel}</Text>
-            <Text style={styles.instructionText} numberOfLines={1}>
-              {currentInstruction}
-            </Text>
+            <View style={styles.etaRow}>
+              <Text style={styles.distanceText}>{distanceLabel}</Text>
+              <Text style={styles.arrivalText}>{arrivalLabel}</Text>
+            </View>
+            {isMultiStop && (
+              <Text style={styles.stopText} numberOfLines={1}>
+                Stop {currentStopIndex + 1} of {stops.length}{nextStop?.name ? ` · ${nextStop.name}` : ''}
+              </Text>
+            )}
+            {GPS_QUALITY_WARNINGS[locationQuality] && (
+              <View style={styles.gpsRow}>
+                <Ionicons name="warning-outline" size={14} color="#B45309" />
+                <Text style={styles.gpsText}>{GPS_QUALITY_WARNINGS[locationQuality]}</Text>
+              </View>
+            )}
+            {isRerouting ? (
+              <View style={styles.reroutingRow}>
+                <ActivityIndicator size="small" color="#F59E0B" />
+                <Text style={[styles.instructionText, styles.reroutingText]} numberOfLines={1}>
+                  Rerouting…
+                </Text>
+              </View>
+            ) : (
+              <View style={styles.maneuverRow}>
+                <View style={styles.maneuverIcon}>
+                  <Ionicons name={maneuverIcon} size={18} color="#FFFFFF" />
+                </View>
+                <View style={{ flex: 1 }}>
+                  {maneuverDistanceKm !== null && (
+                    <Text style={styles.maneuverDistanceText}>In {formatDistance(maneuverDistanceKm)}</Text>
+                  )}
+                  <Text style={styles.instructionText} numberOfLines={1}>
+                    {currentInstruction}
+                  </Text>
+                </View>
+              </View>
+            )}
           </View>
           <View style={styles.progressBarRow}>
             <View style={styles.progressBar}>
@@ -97,12 +188,21 @@ const ActiveJourneyBar = ({ onExpand, onCancel }) => {
                 ]}
               />
             </View>
-            <Text style={styles.percentText}>{Math.round(animatedPercent && animatedPercent.__getValue ? animatedPercent.__getValue() : 0)}%</Text>
+            <Text style={styles.percentText}>{progress.percent}%</Text>
           </View>
         </View>
 
       </TouchableOpacity>
 
+      <TouchableOpacity
+        style={styles.muteButton}
+        onPress={toggleVoiceMuted}
+        accessibilityLabel={isVoiceMuted ? 'Unmute voice guidance' : 'Mute voice guidance'}
+        activeOpacity={0.8}
+      >
+        <Ionicons name={isVoiceMuted ? 'volume-mute' : 'volume-high'} size={20} color={isVoiceMuted ? '#9CA3AF' : '#4A90E2'} />
+      </TouchableOpacity>
+
       <TouchableOpacity
         style={styles.cancelButtonInline}
         onPress={onCancel}
@@ -152,11 +252,65 @@ const styles = StyleSheet.create({
     color: '#4A90E2',
     marginBottom: 4,
   },
+  stopText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginBottom: 4,
+  },
+  gpsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  gpsText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#B45309',
+    marginLeft: 4,
+  },
+  etaRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  arrivalText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
   instructionText: {
     fontSize: 16,
     color: '#1F2937',
     fontWeight: '600',
   },
+  maneuverRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  maneuverIcon: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    backgroundColor: '#4A90E2',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  maneuverDistanceText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  reroutingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  reroutingText: {
+    marginLeft: 8,
+    color: '#B45309',
+  },
   etaContainer: {
     alignItems: 'flex-end',
   },
@@ -196,6 +350,14 @@ const styles = StyleSheet.create({
     backgroundColor: '#4A90E2',
     borderRadius: 2,
   },
+  muteButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
   cancelButtonInline: {
     width: 48,
     height: 48,
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet, Animated, TouchableOpacity } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import AppButton from './AppButton';
+import { useLocation } from '../context/LocationContext';
+import { saveSearchEntry } from '../utils/storage';
+import { formatDistance, formatDuration } from '../utils/mapHelpers';
+
+/**
+ * ArrivalCard Component
+ * Shown after a journey completes on arrival at the destination
+ * Summarises the trip and offers to save the place or start a new trip
+ *
+ * @param {Object} props
+ * @param {Function} props.onNavigateElsewhere - Called after dismissing when the user wants a new destination
+ */
+const ArrivalCard = ({ onNavigateElsewhere }) => {
+  const insets = useSafeAreaInsets();
+  const { arrival, dismissArrival } = useLocation();
+  const slideAnim = useRef(new Animated.Value(300)).current;
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!arrival) return;
+    setSaved(!!arrival.destination?.favorite);
+    Animated.spring(slideAnim, {
+      toValue: 0,
+      useNativeDriver: true,
+      tension: 65,
+      friction: 11,
+    }).start();
+  }, [arrival]);
+
+  if (!arrival) {
+    return null;
+  }
+
+  const place = arrival.destination || {};
+
+  const handleSave = async () => {
+    try {
+      await saveSearchEntry({
+        placeId: place.placeId,
+        name: place.name,
+        address: place.address,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        favorite: true,
+      });
+      setSaved(true);
+    } catch (e) {
+      console.warn('⚠️ [ArrivalCard] saveSearchEntry failed', e?.message || e);
+    }
+  };
+
+  const handleNavigateElsewhere = () => {
+    dismissArrival();
+    if (onNavigateElsewhere) onNavigateElsewhere();
+  };
+
+  return (
+    <Animated.View
+      style={[
+        styles.container,
+        { bottom: insets.bottom + 20, transform: [{ translateY: slideAnim }] },
+      ]}
+    >
+      <View style={styles.header}>
+        <Ionicons name="flag" size={26} color="#10B981" style={{ marginRight: 12 }} />
+        <View style={{ flex: 1 }}>
+          <Text style={styles.title}>You have arrived</Text>
+          <Text style={styles.placeName} numberOfLines={1}>
+            {place.name || place.address || 'Destination'}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.closeButton} onPress={dismissArrival}>
+          <Text style={styles.closeButtonText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.statsRow}>
+        <View style={styles.statCard}>
+          <Text style={styles.statValue}>{formatDuration(arrival.durationMin)}</Text>
+          <Text style={styles.statLabel}>Total time</Text>
+        </View>
+        <View style={styles.statDivider} />
+        <View style={styles.statCard}>
+          <Text style={styles.statValue}>{formatDistance(arrival.distanceKm)}</Text>
+          <Text style={styles.statLabel}>Distance travelled</Text>
+        </View>
+      </View>
+
+      <View style={styles.actions}>
+        <AppButton
+          title={saved ? 'Saved' : 'Save place'}
+          style={[styles.actionButton, styles.saveButton]}
+          disabled={saved}
+          onPress={handleSave}
+        />
+        <AppButton
+          title="Navigate elsewhere"
+          style={styles.actionButton}
+          onPress={handleNavigateElsewhere}
+        />
+      </View>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  placeName: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  closeButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 12,
+  },
+  closeButtonText: {
+    fontSize: 18,
+    color: '#6B7280',
+    fontWeight: 'bold',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  statCard: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#4A90E2',
+    marginBottom: 4,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#6B7280',
+    textTransform: 'uppercase',
+  },
+  statDivider: {
+    width: 1,
+    backgroundColor: '#E5E7EB',
+    marginHorizontal: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  saveButton: {
+    backgroundColor: '#10B981',
+  },
+});
+
+export default ArrivalCard;
@@ -12,8 +12,8 @@ import {
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { on as onEvent, off as offEvent } from '../utils/eventBus';
 import { Ionicons } from '@expo/vector-icons';
-import { GOOGLE_MAPS_API_KEY } from '@env';
 import { loadSearchHistory, saveSearchEntry } from '../utils/storage';
+import { fetchPlacePredictions as fetchPredictions, getPlaceDetails } from '../utils/places';
 
 /**
  * DestinationSearchBar Component
@@ -62,19 +62,7 @@ const DestinationSearchBar = ({ onPlaceSelect, onOpenHistory }) => {
     setIsSearching(true);
 
     try {
-      // Restrict autocomplete predictions to Namibia (country code: NA)
-      const url = `https://maps.googleapis.com/maps/api/place/autocomplete/json?input=${encodeURIComponent(
-        input
-      )}&components=country:na&key=${GOOGLE_MAPS_API_KEY}`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status === 'OK') {
-        setPredictions(data.predictions);
-      } else {
-        setPredictions([]);
-      }
+      setPredictions(await fetchPredictions(input));
     } catch (error) {
       console.error('Error fetching predictions:', error);
       setPredictions([]);
@@ -83,31 +71,6 @@ const DestinationSearchBar = ({ onPlaceSelect, onOpenHistory }) => {
     }
   };
 
-  /**
-   * Get place details including coordinates
-   */
-  const getPlaceDetails = async (placeId) => {
-    try {
-      const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=geometry,name,formatted_address&key=${GOOGLE_MAPS_API_KEY}`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.status === 'OK') {
-        const { geometry, name, formatted_address } = data.result;
-        return {
-          latitude: geometry.location.lat,
-          longitude: geometry.location.lng,
-          name: name,
-          address: formatted_address,
-        };
-      }
-    } catch (error) {
-      console.error('Error fetching place details:', error);
-    }
-    return null;
-  };
-
   /**
    * Handle text input changes
    */
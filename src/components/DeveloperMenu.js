@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AppButton from './AppButton';
+import { useLocation } from '../context/LocationContext';
+import { getTravelModeConfig } from '../config/travelModes';
+import {
+  getLocationSource,
+  setLocationSource,
+  deviceSource,
+  createTraceSourceFromText,
+  createRouteSimulatorSource,
+  LOCATION_SOURCE_EVENT,
+} from '../utils/locationSources';
+import { on } from '../utils/eventBus';
+
+const SPEED_MULTIPLIERS = [1, 2, 5, 10];
+
+/**
+ * DeveloperMenu Component
+ * Development-only menu for switching the location source: the device GPS,
+ * a pasted GPX/GeoJSON trace, or a simulated drive along the current route.
+ * Replay sources can be paused and sped up.
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the menu is shown
+ * @param {Function} props.onClose - Close handler
+ */
+const DeveloperMenu = ({ visible, onClose }) => {
+  const { routeCoordinates, travelMode } = useLocation();
+  const [source, setSource] = useState(getLocationSource);
+  const [traceText, setTraceText] = useState('');
+  const [speedMultiplier, setSpeedMultiplier] = useState(1);
+  const [paused, setPaused] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => on(LOCATION_SOURCE_EVENT, setSource), []);
+
+  useEffect(() => {
+    if (visible) setError(null);
+  }, [visible]);
+
+  /**
+   * Switch to a new source, carrying over the playback speed
+   * @param {Function} create - Builds the source; may throw on bad input
+   */
+  const switchSource = (create) => {
+    try {
+      const next = create();
+      setLocationSource(next);
+      setPaused(false);
+      setError(null);
+    } catch (e) {
+      console.warn('⚠️ [DeveloperMenu] Could not switch location source', e?.message || e);
+      setError(e?.message || 'Could not switch location source');
+    }
+  };
+
+  const handleReplayTrace = () => {
+    if (!traceText.trim()) {
+      setError('Paste a GPX or GeoJSON trace first');
+      return;
+    }
+    switchSource(() => createTraceSourceFromText(traceText, { speedMultiplier }));
+  };
+
+  const handleDriveRoute = () => {
+    const { simulatedSpeedMps } = getTravelModeConfig(travelMode);
+    switchSource(() => createRouteSimulatorSource(routeCoordinates, { speedMps: simulatedSpeedMps, speedMultiplier }));
+  };
+
+  const handleSpeed = (multiplier) => {
+    setSpeedMultiplier(multiplier);
+    if (source.simulated) source.setSpeedMultiplier(multiplier);
+  };
+
+  const handleTogglePause = () => {
+    if (!source.simulated) return;
+    if (source.isPaused()) source.resume();
+    else source.pause();
+    setPaused(source.isPaused());
+  };
+
+  const renderOption = (key, label, description, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.option, source.name === key && styles.optionActive]}
+      onPress={onPress}
+    >
+      <View style={styles.optionText}>
+        <Text style={styles.optionLabel}>{label}</Text>
+        <Text style={styles.optionDescription}>{description}</Text>
+      </View>
+      {source.name === key && <Ionicons name="checkmark-circle" size={22} color="#4A90E2" />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.title}>Developer menu</Text>
+            <Text style={styles.hint}>Location source</Text>
+
+            {renderOption('device', 'Device GPS', 'Real fixes from expo-location', () => switchSource(() => deviceSource))}
+            {renderOption('trace', 'Replay trace', 'Replays the GPX or GeoJSON pasted below', handleReplayTrace)}
+            <TextInput
+              value={traceText}
+              onChangeText={setTraceText}
+              placeholder="Paste GPX or GeoJSON"
+              style={styles.input}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            {renderOption(
+              'route',
+              'Drive current route',
+              routeCoordinates.length > 1 ? 'Moves along the route at the travel mode\'s speed' : 'Pick a destination first',
+              handleDriveRoute
+            )}
+
+            {error && <Text style={styles.error}>{error}</Text>}
+
+            <Text style={styles.hint}>Playback speed</Text>
+            <View style={styles.row}>
+              {SPEED_MULTIPLIERS.map((multiplier) => (
+                <TouchableOpacity
+                  key={multiplier}
+                  style={[styles.speedChip, speedMultiplier === multiplier && styles.speedChipActive]}
+                  onPress={() => handleSpeed(multiplier)}
+                >
+                  <Text style={[styles.speedText, speedMultiplier === multiplier && styles.speedTextActive]}>
+                    {multiplier}×
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={[styles.row, styles.actions]}>
+              <AppButton
+                title={paused ? 'Resume' : 'Pause'}
+                type="secondary"
+                style={styles.btn}
+                onPress={handleTogglePause}
+                disabled={!source.simulated}
+              />
+              <AppButton title="Close" type="primary" style={styles.btn} onPress={onClose} />
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.45)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 500,
+    maxHeight: '85%',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 18,
+    elevation: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '700',
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E6E6E6',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  optionActive: {
+    borderColor: '#4A90E2',
+    backgroundColor: '#F0F6FD',
+  },
+  optionText: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  optionDescription: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E6E6E6',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 12,
+    height: 80,
+    textAlignVertical: 'top',
+    marginBottom: 8,
+  },
+  error: {
+    fontSize: 13,
+    color: '#E74C3C',
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  speedChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    backgroundColor: '#F0F0F0',
+    marginRight: 8,
+  },
+  speedChipActive: {
+    backgroundColor: '#4A90E2',
+  },
+  speedText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  speedTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  actions: {
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  btn: {
+    minWidth: 100,
+    marginLeft: 8,
+  },
+});
+
+export default DeveloperMenu;
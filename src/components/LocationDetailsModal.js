@@ -9,12 +9,30 @@ import {
   Animated,
   Dimensions,
   Pressable,
+  Platform,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useLocation } from '../context/LocationContext';
 import { toggleFavorite } from '../utils/storage';
 import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
 import { formatDistance, formatDuration } from '../utils/mapHelpers';
+import { TRAVEL_MODES, TRAVEL_MODE_ORDER } from '../config/travelModes';
+import { getManeuverIcon } from '../utils/maneuvers';
+import { describeRouteError, getRouteWarnings } from '../utils/routing';
+import { ROUTE_AVOIDANCES, ROUTE_AVOIDANCE_ORDER, getActiveAvoidances } from '../config/routePreferences';
+import {
+  TRIP_TIME_MODES,
+  TRIP_TIME_MODE_LABELS,
+  PLAN_TIME_STEP_MS,
+  isPlannedTrip,
+  roundUpToStep,
+  toPlanTime,
+  getTripTiming,
+  formatPlanTime,
+} from '../utils/tripPlanning';
+import { formatClockTime } from '../utils/eta';
+import { getCongestionBasis } from '../utils/traffic';
 
 const { height } = Dimensions.get('window');
 
@@ -25,9 +43,37 @@ const { height } = Dimensions.get('window');
  */
 const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose }) => {
   const insets = useSafeAreaInsets();
-  const { destination, routeInfo, isLoadingRoute, clearDestination, isJourneyActive, setDestinationMeta } = useLocation();
+  const {
+    destination,
+    routeInfo,
+    routeAlternatives,
+    selectedRouteIndex,
+    selectRoute,
+    isLoadingRoute,
+    routeError,
+    retryRoute,
+    clearDestination,
+    isJourneyActive,
+    setDestinationMeta,
+    travelMode,
+    setTravelMode,
+    routePreferences,
+    toggleAvoidance,
+    tripPlan,
+    setPlanTime,
+    clearTripPlan,
+    stops,
+    currentStopIndex,
+    isAddingStop,
+    setIsAddingStop,
+    removeStop,
+    moveStop,
+    currentStepIndex,
+    currentLocation,
+  } = useLocation();
   const [visible, setVisible] = useState(false);
   const [slideAnim] = useState(new Animated.Value(height));
+  const [showPlanPicker, setShowPlanPicker] = useState(false);
 
   // Close modal when journey starts (hide only, don't clear destination)
   useEffect(() => {
@@ -39,7 +85,8 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
 
   useEffect(() => {
     // Show if there is a destination and either we are not in a journey OR parent forces visibility
-    if (destination && (!isJourneyActive || forceVisible)) {
+    // Stay out of the way while the user is picking a place to add as a stop
+    if (destination && !isAddingStop && (!isJourneyActive || forceVisible)) {
       console.log('✅ [Modal] Showing for:', destination?.name, 'forceVisible=', forceVisible, 'isJourneyActive=', isJourneyActive);
       console.log('🔍 [Modal] about to set visible=true, slideAnim current=', slideAnim && slideAnim.__getValue ? slideAnim.__getValue() : 'n/a');
       setVisible(true);
@@ -63,7 +110,7 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
         setVisible(false);
       });
     }
-  }, [destination, isJourneyActive, forceVisible]);
+  }, [destination, isJourneyActive, forceVisible, isAddingStop]);
 
   /**
    * Close the modal.
@@ -111,6 +158,108 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
     }
   };
 
+  /**
+   * Explain why the route failed and offer the recovery options that fit the error
+   */
+  const renderRouteError = () => {
+    const { icon, title, message, canRetry, suggestOtherMode } = describeRouteError(routeError);
+    const otherModes = TRAVEL_MODE_ORDER.filter((key) => key !== travelMode);
+
+    return (
+      <View style={styles.routeErrorContainer}>
+        <View style={styles.routeErrorHeader}>
+          <Ionicons name={icon} size={20} color="#DC2626" />
+          <Text style={styles.routeErrorTitle}>{title}</Text>
+        </View>
+        <Text style={styles.routeErrorMessage}>{message}</Text>
+        {(canRetry || suggestOtherMode) && (
+          <View style={styles.routeErrorActions}>
+            {canRetry && (
+              <TouchableOpacity style={styles.routeErrorButton} onPress={retryRoute} activeOpacity={0.8}>
+                <Ionicons name="refresh" size={16} color="#4A90E2" />
+                <Text style={styles.routeErrorButtonText}>Retry</Text>
+              </TouchableOpacity>
+            )}
+            {suggestOtherMode && !isJourneyActive && otherModes.map((key) => (
+              <TouchableOpacity
+                key={key}
+                style={styles.routeErrorButton}
+                onPress={() => setTravelMode(key)}
+                accessibilityLabel={`Try ${TRAVEL_MODES[key].label}`}
+                activeOpacity={0.8}
+              >
+                <Ionicons name={TRAVEL_MODES[key].icon} size={16} color="#4A90E2" />
+                <Text style={styles.routeErrorButtonText}>Try {TRAVEL_MODES[key].label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Switch between leaving now, departing at a time and arriving by a time
+   * A newly planned time starts at the next quarter hour.
+   */
+  const handlePlanModeChange = (timeMode) => {
+    if (timeMode === tripPlan.timeMode) return;
+    if (timeMode === 'now') setShowPlanPicker(false);
+    setPlanTime(timeMode, tripPlan.time || roundUpToStep(Date.now() + PLAN_TIME_STEP_MS));
+  };
+
+  /**
+   * Move the planned time one step earlier or later (never into the past)
+   * @param {number} direction - -1 for earlier, 1 for later
+   */
+  const handlePlanTimeStep = (direction) => {
+    const next = tripPlan.time + direction * PLAN_TIME_STEP_MS;
+    if (next < Date.now()) return;
+    setPlanTime(tripPlan.timeMode, next);
+  };
+
+  /**
+   * Choose the planned date and time
+   * Android shows its date dialog and then its time dialog; iOS shows an inline
+   * date/time wheel under the time until it's tapped again.
+   */
+  const handlePlanTimePress = () => {
+    if (Platform.OS !== 'android') {
+      setShowPlanPicker((shown) => !shown);
+      return;
+    }
+    DateTimePickerAndroid.open({
+      value: new Date(tripPlan.time),
+      mode: 'date',
+      minimumDate: new Date(),
+      onChange: (dateEvent, date) => {
+        if (dateEvent.type !== 'set' || !date) return;
+        DateTimePickerAndroid.open({
+          value: date,
+          mode: 'time',
+          onChange: (timeEvent, dateTime) => {
+            if (timeEvent.type !== 'set' || !dateTime) return;
+            setPlanTime(tripPlan.timeMode, toPlanTime(dateTime));
+          },
+        });
+      },
+    });
+  };
+
+  /**
+   * Apply a change from the iOS date/time wheel
+   */
+  const handlePlanPickerChange = (event, date) => {
+    if (event.type !== 'set' || !date) return;
+    setPlanTime(tripPlan.timeMode, toPlanTime(date));
+  };
+
+  // Providers without per-step traffic color each leg as a whole; say so next to the traffic time
+  const congestionBasis = getCongestionBasis(routeInfo);
+
+  const routeWarnings = getRouteWarnings(routeInfo, getActiveAvoidances(routePreferences));
+  const tripTiming = routeInfo && tripPlan.timeMode !== 'now' ? getTripTiming(tripPlan, routeInfo.durationInTraffic || routeInfo.duration) : null;
+
   if (!visible) {
     return null;
   }
@@ -166,6 +315,148 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
               </View>
             </View>
 
+            {/* Trip stops - reorder/remove before the journey, progress during it */}
+            {stops.length > 1 && (
+              <View style={styles.stopsContainer}>
+                {stops.map((stop, index) => {
+                  const isFinal = index === stops.length - 1;
+                  const reached = isJourneyActive && index < currentStopIndex;
+                  return (
+                    <View key={`stop-${index}-${stop.latitude}-${stop.longitude}`} style={styles.stopRow}>
+                      <View style={[styles.stopBadge, isFinal && styles.stopBadgeFinal, reached && styles.stopBadgeReached]}>
+                        <Text style={styles.stopBadgeText}>{index + 1}</Text>
+                      </View>
+                      <Text style={[styles.stopName, reached && styles.stopNameReached]} numberOfLines={1}>
+                        {stop.name || stop.address || 'Stop'}
+                      </Text>
+                      {!isJourneyActive && (
+                        <View style={styles.stopActions}>
+                          <TouchableOpacity style={styles.stopAction} onPress={() => moveStop(index, index - 1)} disabled={index === 0}>
+                            <Ionicons name="chevron-up" size={18} color={index === 0 ? '#D1D5DB' : '#4B5563'} />
+                          </TouchableOpacity>
+                          <TouchableOpacity style={styles.stopAction} onPress={() => moveStop(index, index + 1)} disabled={isFinal}>
+                            <Ionicons name="chevron-down" size={18} color={isFinal ? '#D1D5DB' : '#4B5563'} />
+                          </TouchableOpacity>
+                          <TouchableOpacity style={styles.stopAction} onPress={() => removeStop(index)}>
+                            <Ionicons name="close" size={18} color="#EF4444" />
+                          </TouchableOpacity>
+                        </View>
+                      )}
+                    </View>
+                  );
+                })}
+              </View>
+            )}
+
+            {!isJourneyActive && (
+              <TouchableOpacity style={styles.addStopButton} onPress={() => setIsAddingStop(true)} activeOpacity={0.8}>
+                <Ionicons name="add-circle-outline" size={18} color="#4A90E2" />
+                <Text style={styles.addStopText}>Add stop</Text>
+              </TouchableOpacity>
+            )}
+
+            {/* Travel mode selector - locked once the journey has started */}
+            <View style={styles.modeRow}>
+              {TRAVEL_MODE_ORDER.map((key) => {
+                const mode = TRAVEL_MODES[key];
+                const selected = key === travelMode;
+                return (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.modeButton, selected && styles.modeButtonSelected]}
+                    onPress={() => setTravelMode(key)}
+                    disabled={isJourneyActive}
+                    accessibilityLabel={`Travel mode: ${mode.label}`}
+                    activeOpacity={0.8}
+                  >
+                    <Ionicons name={mode.icon} size={18} color={selected ? '#FFFFFF' : '#4B5563'} />
+                    <Text style={[styles.modeLabel, selected && styles.modeLabelSelected]}>{mode.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            {/* Avoidance preferences - apply to reroutes too, so locked during the journey */}
+            <View style={styles.avoidRow}>
+              <Text style={styles.avoidLabel}>Avoid</Text>
+              {ROUTE_AVOIDANCE_ORDER.map((key) => {
+                const avoidance = ROUTE_AVOIDANCES[key];
+                const selected = !!routePreferences.avoid[key];
+                return (
+                  <TouchableOpacity
+                    key={key}
+                    style={[styles.avoidChip, selected && styles.avoidChipSelected]}
+                    onPress={() => toggleAvoidance(key)}
+                    disabled={isJourneyActive}
+                    accessibilityLabel={`Avoid ${avoidance.label}`}
+                    accessibilityState={{ selected }}
+                    activeOpacity={0.8}
+                  >
+                    <Ionicons name={avoidance.icon} size={14} color={selected ? '#FFFFFF' : '#4B5563'} />
+                    <Text style={[styles.avoidChipText, selected && styles.avoidChipTextSelected]}>{avoidance.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            {/* Departure planning - depart at / arrive by a chosen time */}
+            {!isJourneyActive && (
+              <View style={styles.planContainer}>
+                <View style={styles.planModeRow}>
+                  {TRIP_TIME_MODES.map((timeMode) => {
+                    const selected = tripPlan.timeMode === timeMode;
+                    return (
+                      <TouchableOpacity
+                        key={timeMode}
+                        style={[styles.planModeButton, selected && styles.planModeButtonSelected]}
+                        onPress={() => handlePlanModeChange(timeMode)}
+                        activeOpacity={0.8}
+                      >
+                        <Text style={[styles.planModeText, selected && styles.planModeTextSelected]}>
+                          {TRIP_TIME_MODE_LABELS[timeMode]}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                {tripPlan.timeMode !== 'now' && tripPlan.time && (
+                  <View style={styles.planTimeRow}>
+                    <TouchableOpacity
+                      style={styles.planTimeStep}
+                      onPress={() => handlePlanTimeStep(-1)}
+                      accessibilityLabel="Earlier"
+                    >
+                      <Ionicons name="remove" size={18} color="#4A90E2" />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.planTimeButton}
+                      onPress={handlePlanTimePress}
+                      accessibilityLabel="Choose date and time"
+                    >
+                      <Ionicons name="calendar-outline" size={16} color="#4A90E2" />
+                      <Text style={styles.planTimeText}>{formatPlanTime(tripPlan.time)}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.planTimeStep}
+                      onPress={() => handlePlanTimeStep(1)}
+                      accessibilityLabel="Later"
+                    >
+                      <Ionicons name="add" size={18} color="#4A90E2" />
+                    </TouchableOpacity>
+                  </View>
+                )}
+                {showPlanPicker && Platform.OS !== 'android' && tripPlan.timeMode !== 'now' && tripPlan.time && (
+                  <DateTimePicker
+                    value={new Date(tripPlan.time)}
+                    mode="datetime"
+                    display="spinner"
+                    minimumDate={new Date()}
+                    onChange={handlePlanPickerChange}
+                  />
+                )}
+              </View>
+            )}
+
             {/* Route Info */}
             {isLoadingRoute ? (
               <View style={styles.loadingContainer}>
@@ -179,26 +470,98 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
                 </View>
                 <View style={styles.statDivider} />
                 <View style={styles.statCard}>
-                  <Text style={styles.statValue}>{formatDuration(routeInfo.duration)}</Text>
-                  <Text style={styles.statLabel}>Duration</Text>
+                  <Text style={styles.statValue}>{formatDuration(routeInfo.durationInTraffic || routeInfo.duration)}</Text>
+                  <Text style={styles.statLabel}>{routeInfo.durationInTraffic ? 'In traffic' : 'Duration'}</Text>
+                  {routeInfo.durationInTraffic ? (
+                    <Text style={styles.statSubtext}>Typically {formatDuration(routeInfo.duration)}</Text>
+                  ) : null}
+                  {congestionBasis === 'leg' ? (
+                    <Text style={styles.statSubtext}>
+                      {routeInfo.legs?.length > 1 ? 'Route colors show traffic per leg' : 'Route color shows traffic for the whole trip'}
+                    </Text>
+                  ) : null}
                 </View>
               </View>
+            ) : routeError ? (
+              renderRouteError()
             ) : null}
 
-            {/* Start Journey Button */}
-            <TouchableOpacity
-              style={[
-                styles.startButton,
-                !routeInfo && styles.startButtonDisabled,
-              ]}
-              onPress={handleStartJourney}
-              disabled={!routeInfo}
-              activeOpacity={0.8}
-            >
-              <Text style={styles.startButtonText}>
-                {routeInfo ? 'Start Journey' : 'Calculating...'}
-              </Text>
-            </TouchableOpacity>
+            {/* Recommended leave-by time for planned trips */}
+            {!isLoadingRoute && routeInfo && tripTiming && (
+              <View style={styles.leaveByRow}>
+                <Ionicons name="time-outline" size={16} color="#4B5563" />
+                <Text style={styles.leaveByText}>
+                  Leave by {formatClockTime(tripTiming.leaveAt)} · Arrive {formatClockTime(tripTiming.arriveAt)}
+                </Text>
+              </View>
+            )}
+
+            {/* Route warnings - avoided features the chosen route still uses */}
+            {!isLoadingRoute && routeWarnings.length > 0 && (
+              <View style={styles.routeWarningsContainer}>
+                {routeWarnings.map((warning) => (
+                  <View key={warning} style={styles.routeWarningRow}>
+                    <Ionicons name="warning-outline" size={16} color="#B45309" />
+                    <Text style={styles.routeWarningText}>{warning}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {/* Route options - pick one before starting the journey */}
+            {!isLoadingRoute && !isJourneyActive && routeAlternatives && routeAlternatives.length > 1 && (
+              <View style={styles.routeOptionsContainer}>
+                {routeAlternatives.map((alt, index) => {
+                  const selected = index === selectedRouteIndex;
+                  return (
+                    <TouchableOpacity
+                      key={`route-${index}`}
+                      style={[styles.routeOption, selected && styles.routeOptionSelected]}
+                      onPress={() => selectRoute(index)}
+                      activeOpacity={0.8}
+                    >
+                      <View style={styles.routeOptionText}>
+                        <Text style={[styles.routeOptionDuration, selected && styles.routeOptionDurationSelected]}>
+                          {formatDuration(alt.info.durationInTraffic || alt.info.duration)}
+                        </Text>
+                        <Text style={styles.routeOptionSummary} numberOfLines={1}>
+                          {alt.info.summary ? `via ${alt.info.summary}` : `Route ${index + 1}`}
+                        </Text>
+                      </View>
+                      <Text style={styles.routeOptionDistance}>{formatDistance(alt.info.distance)}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
+
+            {/* Start Journey Button - a planned trip first switches back to the live position and time */}
+            {!currentLocation && !isJourneyActive ? (
+              // Navigation follows the live position; without it, trips can only be planned
+              <View style={[styles.startButton, styles.startButtonDisabled]}>
+                <Text style={styles.startButtonText}>
+                  {tripPlan.origin ? 'Turn on location to navigate' : 'Choose a starting point'}
+                </Text>
+              </View>
+            ) : isPlannedTrip(tripPlan) && !isJourneyActive ? (
+              <TouchableOpacity style={styles.startButton} onPress={clearTripPlan} activeOpacity={0.8}>
+                <Text style={styles.startButtonText}>Navigate from here now</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[
+                  styles.startButton,
+                  !routeInfo && styles.startButtonDisabled,
+                ]}
+                onPress={handleStartJourney}
+                disabled={!routeInfo}
+                activeOpacity={0.8}
+              >
+                <Text style={styles.startButtonText}>
+                  {routeInfo ? 'Start Journey' : routeError && !isLoadingRoute ? 'Route unavailable' : 'Calculating...'}
+                </Text>
+              </TouchableOpacity>
+            )}
 
             {/* Turn-by-Turn Directions */}
             {routeInfo && routeInfo.steps && routeInfo.steps.length > 0 && (
@@ -210,19 +573,31 @@ const LocationDetailsModal = ({ onStartJourney, forceVisible = false, onClose })
                   style={styles.directionsScroll}
                   showsVerticalScrollIndicator={true}
                 >
-                  {routeInfo.steps.map((step, index) => (
-                    <View key={index} style={styles.directionStep}>
-                      <View style={styles.stepNumber}>
-                        <Text style={styles.stepNumberText}>{index + 1}</Text>
-                      </View>
-                      <View style={styles.stepContent}>
-                        <Text style={styles.stepInstruction}>{step.instruction}</Text>
-                        <Text style={styles.stepDetails}>
-                          {step.distance} • {step.duration}
-                        </Text>
+                  {routeInfo.steps.map((step, index) => {
+                    // During a journey highlight the active step and grey out completed ones
+                    const isActive = isJourneyActive && index === currentStepIndex;
+                    const isCompleted = isJourneyActive && index < currentStepIndex;
+                    return (
+                      <View key={index}>
+                        {stops.length > 1 && step.stopIndex !== routeInfo.steps[index - 1]?.stopIndex && (
+                          <Text style={styles.legHeader}>
+                            To stop {step.stopIndex + 1}: {stops[step.stopIndex]?.name || 'Stop'}
+                          </Text>
+                        )}
+                        <View style={[styles.directionStep, isActive && styles.directionStepActive, isCompleted && styles.directionStepCompleted]}>
+                          <View style={[styles.stepNumber, isCompleted && styles.stepNumberCompleted]}>
+                            <Ionicons name={getManeuverIcon(step.maneuver)} size={16} color="#FFFFFF" />
+                          </View>
+                          <View style={styles.stepContent}>
+                            <Text style={[styles.stepInstruction, isActive && styles.stepInstructionActive]}>{step.instruction}</Text>
+                            <Text style={styles.stepDetails}>
+                              {step.distance} • {step.duration}
+                            </Text>
+                          </View>
+                        </View>
                       </View>
-                    </View>
-                  ))}
+                    );
+                  })}
                 </ScrollView>
               </View>
             )}
@@ -320,6 +695,223 @@ const styles = StyleSheet.create({
   favoriteActive: {
     backgroundColor: '#FFF4D9',
   },
+  stopsContainer: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  stopRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  stopBadge: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#F59E0B',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  stopBadgeFinal: {
+    backgroundColor: '#EF4444',
+  },
+  stopBadgeReached: {
+    backgroundColor: '#9CA3AF',
+  },
+  stopBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  stopName: {
+    flex: 1,
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  stopNameReached: {
+    color: '#9CA3AF',
+    textDecorationLine: 'line-through',
+  },
+  stopActions: {
+    flexDirection: 'row',
+  },
+  stopAction: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  addStopButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  addStopText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A90E2',
+  },
+  legHeader: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    textTransform: 'uppercase',
+    marginBottom: 10,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  modeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    marginHorizontal: 3,
+    borderRadius: 20,
+    backgroundColor: '#F3F4F6',
+  },
+  modeButtonSelected: {
+    backgroundColor: '#4A90E2',
+  },
+  modeLabel: {
+    marginLeft: 4,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4B5563',
+  },
+  modeLabelSelected: {
+    color: '#FFFFFF',
+  },
+  planContainer: {
+    marginBottom: 16,
+  },
+  planModeRow: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 10,
+    padding: 3,
+  },
+  planModeButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 7,
+    borderRadius: 8,
+  },
+  planModeButtonSelected: {
+    backgroundColor: '#FFFFFF',
+    elevation: 2,
+  },
+  planModeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  planModeTextSelected: {
+    color: '#1F2937',
+  },
+  planTimeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  planTimeStep: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  planTimeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minWidth: 170,
+    paddingVertical: 6,
+  },
+  planTimeText: {
+    marginLeft: 6,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  leaveByRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  leaveByText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4B5563',
+  },
+  avoidRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: -4,
+    marginBottom: 16,
+  },
+  avoidLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    marginRight: 6,
+  },
+  avoidChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 4,
+    borderRadius: 14,
+    backgroundColor: '#F3F4F6',
+  },
+  avoidChipSelected: {
+    backgroundColor: '#4B5563',
+  },
+  avoidChipText: {
+    marginLeft: 4,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#4B5563',
+  },
+  avoidChipTextSelected: {
+    color: '#FFFFFF',
+  },
+  routeWarningsContainer: {
+    backgroundColor: '#FFFBEB',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  routeWarningRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 3,
+  },
+  routeWarningText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#92400E',
+    lineHeight: 18,
+  },
   loadingContainer: {
     padding: 20,
     alignItems: 'center',
@@ -328,6 +920,51 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#6B7280',
   },
+  routeErrorContainer: {
+    backgroundColor: '#FEF2F2',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  routeErrorHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  routeErrorTitle: {
+    marginLeft: 8,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#991B1B',
+  },
+  routeErrorMessage: {
+    fontSize: 14,
+    color: '#4B5563',
+    lineHeight: 20,
+  },
+  routeErrorActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  routeErrorButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 6,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+  },
+  routeErrorButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A90E2',
+  },
   routeInfoContainer: {
     flexDirection: 'row',
     backgroundColor: '#F9FAFB',
@@ -350,11 +987,55 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     textTransform: 'uppercase',
   },
+  statSubtext: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
   statDivider: {
     width: 1,
     backgroundColor: '#E5E7EB',
     marginHorizontal: 16,
   },
+  routeOptionsContainer: {
+    marginBottom: 16,
+  },
+  routeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    marginBottom: 8,
+  },
+  routeOptionSelected: {
+    borderColor: '#4A90E2',
+    backgroundColor: '#EFF6FF',
+  },
+  routeOptionText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  routeOptionDuration: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  routeOptionDurationSelected: {
+    color: '#4A90E2',
+  },
+  routeOptionSummary: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  routeOptionDistance: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
   startButton: {
     backgroundColor: '#4A90E2',
     borderRadius: 12,
@@ -407,6 +1088,22 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 12,
   },
+  stepNumberCompleted: {
+    backgroundColor: '#D1D5DB',
+  },
+  directionStepActive: {
+    backgroundColor: '#EFF6FF',
+    borderRadius: 8,
+    paddingTop: 8,
+    paddingHorizontal: 6,
+  },
+  directionStepCompleted: {
+    opacity: 0.45,
+  },
+  stepInstructionActive: {
+    fontWeight: 'bold',
+    color: '#1D4ED8',
+  },
   stepNumberText: {
     color: '#FFFFFF',
     fontSize: 14,
@@ -0,0 +1,112 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import AppButton from './AppButton';
+
+const REASONS = [
+  { icon: 'navigate-outline', text: 'Routes start from where you are' },
+  { icon: 'git-branch-outline', text: 'Turn-by-turn guidance and rerouting when you leave the route' },
+  { icon: 'time-outline', text: 'Arrival times that follow your progress' },
+];
+
+/**
+ * LocationOnboarding Component
+ * Explains why RouteMe uses location before the system permission dialog is shown.
+ * The app stays usable without it: routes can be planned from a chosen starting point.
+ *
+ * @param {Object} props
+ * @param {Function} props.onAllow - Show the system permission dialog
+ * @param {Function} props.onSkip - Continue without location
+ */
+const LocationOnboarding = ({ onAllow, onSkip }) => {
+  const insets = useSafeAreaInsets();
+
+  return (
+    <View style={[styles.container, { paddingTop: insets.top + 40, paddingBottom: insets.bottom + 24 }]}>
+      <View style={styles.iconCircle}>
+        <Ionicons name="location" size={44} color="#4A90E2" />
+      </View>
+      <Text style={styles.title}>Find your way from here</Text>
+      <Text style={styles.subtitle}>RouteMe uses your location while you use the app for:</Text>
+
+      <View style={styles.reasons}>
+        {REASONS.map((reason) => (
+          <View key={reason.icon} style={styles.reasonRow}>
+            <Ionicons name={reason.icon} size={22} color="#4A90E2" style={styles.reasonIcon} />
+            <Text style={styles.reasonText}>{reason.text}</Text>
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.footer}>
+        <AppButton title="Allow location access" type="primary" onPress={onAllow} />
+        <TouchableOpacity style={styles.skipButton} onPress={onSkip}>
+          <Text style={styles.skipText}>Not now, I'll choose a starting point</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 28,
+    alignItems: 'center',
+  },
+  iconCircle: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: '#EAF2FC',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#333',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  reasons: {
+    alignSelf: 'stretch',
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  reasonIcon: {
+    marginRight: 14,
+  },
+  reasonText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+  },
+  footer: {
+    marginTop: 'auto',
+    alignSelf: 'stretch',
+  },
+  skipButton: {
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  skipText: {
+    fontSize: 14,
+    color: '#4A90E2',
+    fontWeight: '600',
+  },
+});
+
+export default LocationOnboarding;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+// What to tell the user for each location status that needs attention, and how they can fix it
+const STATUS_MESSAGES = {
+  undetermined: {
+    icon: 'location-outline',
+    text: 'Location is off. Search for a place and choose where to start from.',
+    action: 'Allow',
+  },
+  denied: {
+    icon: 'location-outline',
+    text: 'Location access was denied. You can still plan routes from a chosen starting point.',
+    action: 'Try again',
+  },
+  blocked: {
+    icon: 'lock-closed-outline',
+    text: 'Location access is turned off for RouteMe. You can still plan routes from a chosen starting point.',
+    action: 'Open Settings',
+  },
+  servicesDisabled: {
+    icon: 'warning-outline',
+    text: 'Location services are switched off on this device.',
+    action: 'Turn on',
+  },
+  acquiring: {
+    text: 'Finding your location…',
+    action: 'Retry',
+  },
+  approximate: {
+    icon: 'radio-button-off-outline',
+    text: 'Only your approximate location is shared. Turn on precise location for navigation.',
+    action: 'Open Settings',
+  },
+};
+
+/**
+ * LocationStatusBanner Component
+ * Shows why the user's position is missing or imprecise, with the action that fixes it
+ * Renders nothing while location is working normally.
+ *
+ * @param {Object} props
+ * @param {string} props.status - Location status from useUserLocation
+ * @param {Function} props.onAction - Called with the status when the action is pressed
+ */
+const LocationStatusBanner = ({ status, onAction }) => {
+  const message = STATUS_MESSAGES[status];
+  if (!message) return null;
+
+  return (
+    <View style={styles.banner}>
+      {message.icon ? (
+        <Ionicons name={message.icon} size={20} color="#FBBF24" style={styles.icon} />
+      ) : (
+        <ActivityIndicator size="small" color="#93C5FD" style={styles.icon} />
+      )}
+      <Text style={styles.text}>{message.text}</Text>
+      <TouchableOpacity onPress={() => onAction(status)}>
+        <Text style={styles.action}>{message.action}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 28,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1F2937',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginRight: 68,
+    elevation: 8,
+  },
+  icon: {
+    marginRight: 10,
+  },
+  text: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 13,
+    marginRight: 12,
+  },
+  action: {
+    color: '#93C5FD',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default LocationStatusBanner;
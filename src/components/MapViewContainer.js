@@ -1,12 +1,21 @@
-import React, { useRef, useEffect, useState } from 'react';
-import { StyleSheet, View, ActivityIndicator, TouchableOpacity, Text, Animated } from 'react-native';
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import { StyleSheet, View, TouchableOpacity, Text, Animated } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import MapView, { Marker, Callout, PROVIDER_GOOGLE } from 'react-native-maps';
+import MapView, { Marker, Callout, Polyline, PROVIDER_GOOGLE } from 'react-native-maps';
 import { GOOGLE_MAPS_API_KEY } from '@env';
 import { useLocation } from '../context/LocationContext';
-import { loadFavorites, saveSearchEntry } from '../utils/storage';
-import { calculateDistance, getBearing } from '../utils/mapHelpers';
-import { on } from '../utils/eventBus';
+import { loadFavorites, saveSearchEntry, saveMapViewport } from '../utils/storage';
+import { getBearing, projectOntoRoute, pointAlongRoute } from '../utils/mapHelpers';
+import { on, emit } from '../utils/eventBus';
+import { simplifyPolyline, getRenderToleranceKm } from '../utils/routeGeometry';
+import { normalizeAngle, angleDifference } from '../utils/headingFusion';
+import { getTravelModeConfig } from '../config/travelModes';
+import { DEFAULT_REGION } from '../config/mapDefaults';
+
+// Distance ahead of the user's projected route position that the direction arrow points at
+const BEARING_LOOKAHEAD_KM = 0.03;
+// The viewport is saved for the next start at most this often (the follow camera moves it every fix)
+const VIEWPORT_SAVE_INTERVAL_MS = 5000;
 
 /**
  * MapViewContainer Component
@@ -16,26 +25,62 @@ import { on } from '../utils/eventBus';
  * @param {Object} props
  * @param {Object} props.userLocation - Current user location
  * @param {Function} props.onMapPress - Handler for map press events
+ * @param {Object} [props.initialRegion] - Where to open without a user location (e.g. the last saved viewport)
+ * @param {Function} [props.onOpenDeveloperMenu] - Long-press on the reposition button (development builds only)
  * @param {React.ReactNode} props.children - Child components (e.g., RouteDirections)
  */
-const MapViewContainer = ({ userLocation, onMapPress, children }) => {
+const MapViewContainer = ({ userLocation, initialRegion, onMapPress, onOpenDeveloperMenu, children }) => {
   const mapRef = useRef(null);
-  const { destination, routeCoordinates, isJourneyActive, updateDestination } = useLocation();
+  const {
+    destination,
+    stops,
+    routeCoordinates,
+    routeProgress,
+    routeAlternatives,
+    selectedRouteIndex,
+    selectRoute,
+    isJourneyActive,
+    travelMode,
+    selectPlace,
+    tripPlan,
+  } = useLocation();
   const [favorites, setFavorites] = useState([]);
   const [bearingDeg, setBearingDeg] = useState(0);
   const rotationAnim = useRef(new Animated.Value(0)).current;
+  // Arrow rotation in unwrapped degrees (can go past 360 or below 0)
+  const rotationDegRef = useRef(0);
   const [followUser, setFollowUser] = useState(true);
+  const [showTraffic, setShowTraffic] = useState(false);
+  // Route lines are simplified when zoomed out (0 = full resolution)
+  const [renderToleranceKm, setRenderToleranceKm] = useState(0);
+  // Route segment matched for the direction arrow; matching searches forward from here
+  const matchedSegmentRef = useRef(0);
+  const lastViewportSaveRef = useRef(0);
   // Animate map to user location when it changes
   useEffect(() => {
     // Only auto-center when followUser is enabled or when a journey is active.
     if (!userLocation || !mapRef.current) return;
     if (!followUser && !isJourneyActive) return;
     try {
-      mapRef.current.animateToRegion(userLocation, 1000);
+      if (isJourneyActive) {
+        // Zoom level while navigating depends on how fast the travel mode moves
+        const { followDelta } = getTravelModeConfig(travelMode);
+        mapRef.current.animateToRegion(
+          {
+            latitude: userLocation.latitude,
+            longitude: userLocation.longitude,
+            latitudeDelta: followDelta,
+            longitudeDelta: followDelta,
+          },
+          1000
+        );
+      } else {
+        mapRef.current.animateToRegion(userLocation, 1000);
+      }
     } catch (e) {
       // ignore if map not ready
     }
-  }, [userLocation, followUser, isJourneyActive]);
+  }, [userLocation, followUser, isJourneyActive, travelMode]);
 
   // Load favorites and subscribe to changes so map updates live
   useEffect(() => {
@@ -61,14 +106,14 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
   // Fit map to show both user location and destination when route is available
   useEffect(() => {
     if (
-      userLocation &&
       destination &&
       routeCoordinates &&
       routeCoordinates.length > 0 &&
       mapRef.current
     ) {
+      // A route planned from a chosen origin can be shown without the user's position
       const coordinates = [
-        { latitude: userLocation.latitude, longitude: userLocation.longitude },
+        ...(userLocation ? [{ latitude: userLocation.latitude, longitude: userLocation.longitude }] : []),
         { latitude: destination.latitude, longitude: destination.longitude },
         ...routeCoordinates,
       ];
@@ -83,32 +128,39 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
     }
   }, [routeCoordinates, destination, userLocation]);
 
-  // Compute bearing to next route coordinate for directional arrow
+  // Alternative routes are only drawn, so they can always use simplified geometry
+  const displayAlternatives = useMemo(
+    () => (routeAlternatives || []).map((alt) => simplifyPolyline(alt.coordinates, renderToleranceKm)),
+    [routeAlternatives, renderToleranceKm]
+  );
+
+  // A new route is matched from its start again
+  useEffect(() => {
+    matchedSegmentRef.current = 0;
+  }, [routeCoordinates]);
+
+  // Compute bearing towards a point a little way ahead on the route for directional arrow
   useEffect(() => {
     try {
       if (!userLocation || !routeCoordinates || routeCoordinates.length === 0) return;
-      // find nearest point index on route
-      let minIdx = 0;
-      let minDist = Infinity;
-      for (let i = 0; i < routeCoordinates.length; i++) {
-        const d = calculateDistance(userLocation, routeCoordinates[i]);
-        if (d < minDist) {
-          minDist = d;
-          minIdx = i;
-        }
+      // During a journey the shared route progress already holds the matched position
+      let match = routeProgress;
+      if (!match) {
+        match = projectOntoRoute(userLocation, routeCoordinates, { fromIndex: matchedSegmentRef.current });
+        if (!match) return;
+        matchedSegmentRef.current = match.segmentIndex;
       }
-      const targetIdx = Math.min(minIdx + 1, routeCoordinates.length - 1);
-      const target = routeCoordinates[targetIdx];
+      const target = pointAlongRoute(routeCoordinates, match.distanceAlongKm + BEARING_LOOKAHEAD_KM);
       const brng = getBearing(userLocation, target);
       if (brng !== null && !Number.isNaN(brng)) {
         const rounded = Math.round(brng);
-        console.log('🔔 [MapViewContainer] bearing computed', { rounded, userLocation, targetIdx, routeLen: routeCoordinates.length });
+        console.log('🔔 [MapViewContainer] bearing computed', { rounded, userLocation, segmentIndex: match.segmentIndex, routeLen: routeCoordinates.length });
         setBearingDeg(rounded);
       }
     } catch (e) {
       // ignore
     }
-  }, [userLocation, routeCoordinates]);
+  }, [userLocation, routeCoordinates, routeProgress]);
 
   // Animate rotation to be relative to device heading if available
   useEffect(() => {
@@ -117,14 +169,17 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
       const heading = userLocation.heading;
       let targetDeg = bearingDeg || 0;
       if (heading !== undefined && heading !== null) {
-        targetDeg = ((bearingDeg - heading) % 360 + 360) % 360;
+        targetDeg = normalizeAngle(bearingDeg - heading);
       }
-      // Animate to targetDeg smoothly. Stop any running animation first to avoid piling up timers.
+      // The animated value is never wrapped to 0..360, so each change turns the short way
+      // round (350° → 10° animates +20°, not -340°)
+      rotationDegRef.current += angleDifference(rotationDegRef.current, targetDeg);
+      // Animate to the target smoothly. Stop any running animation first to avoid piling up timers.
       try {
         rotationAnim.stopAnimation();
       } catch (e) {}
       Animated.timing(rotationAnim, {
-        toValue: targetDeg,
+        toValue: rotationDegRef.current,
         duration: 300,
         useNativeDriver: true,
       }).start();
@@ -133,25 +188,18 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
     }
   }, [bearingDeg, userLocation?.heading]);
   
-  // If we don't yet have a user location, show a loader instead of attempting to render the map
-  if (!userLocation) {
-    return (
-      <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#4A90E2" />
-      </View>
-    );
-  }
+  // Without a user location (no access yet, or still acquiring) the map opens on the saved viewport or the default region
   return (
     <View style={styles.container}>
       <MapView
         ref={mapRef}
         provider={PROVIDER_GOOGLE}
         style={styles.map}
-        initialRegion={userLocation}
-        showsUserLocation={true}
+        initialRegion={userLocation || initialRegion || DEFAULT_REGION}
+        showsUserLocation={!!userLocation}
         showsMyLocationButton={false}
         showsCompass={true}
-        showsTraffic={false}
+        showsTraffic={showTraffic}
         onPress={(e) => {
           // user interacted with the map; stop following until they recenter
           setFollowUser(false);
@@ -160,6 +208,16 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
         onPanDrag={() => {
           setFollowUser(false);
         }}
+        onRegionChangeComplete={(region) => {
+          setRenderToleranceKm(getRenderToleranceKm(region.latitudeDelta));
+          // RouteDirections draws the active route at the same detail
+          emit('mapRegionChanged', region);
+          const now = Date.now();
+          if (now - lastViewportSaveRef.current >= VIEWPORT_SAVE_INTERVAL_MS) {
+            lastViewportSaveRef.current = now;
+            saveMapViewport(region);
+          }
+        }}
         onPoiClick={async (e) => {
           try {
             const evt = e && e.nativeEvent;
@@ -186,7 +244,7 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
                   };
                   // persist this clicked POI into saved searches so it can be favorited later
                   try { await saveSearchEntry(entry); } catch (e) { console.warn('⚠️ [MapViewContainer] saveSearchEntry failed', e?.message || e); }
-                  updateDestination({ ...entry, timestamp: Date.now() });
+                  selectPlace({ ...entry, timestamp: Date.now() });
                   return;
                 }
               } catch (err) {
@@ -204,7 +262,7 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
                 favorite: false,
               };
               try { await saveSearchEntry(entry); } catch (e) { console.warn('⚠️ [MapViewContainer] saveSearchEntry failed', e?.message || e); }
-              updateDestination({ ...entry, timestamp: Date.now() });
+              selectPlace({ ...entry, timestamp: Date.now() });
             }
           } catch (e) {
             console.warn('⚠️ [MapViewContainer] onPoiClick error', e?.message || e);
@@ -215,8 +273,8 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
         {/* Favorite Markers (from saved searches) */}
         {favorites
           .filter((f) => f && f.latitude !== undefined && f.longitude !== undefined)
-          // don't duplicate the currently selected destination marker
-          .filter((f) => !(destination && f.latitude === destination.latitude && f.longitude === destination.longitude))
+          // don't duplicate the destination or stop markers
+          .filter((f) => !(stops || []).some((st) => f.latitude === st.latitude && f.longitude === st.longitude))
           .map((item) => {
             const key = item.timestamp || item.placeId || `${item.latitude}-${item.longitude}`;
             // Render a native Marker with title/description for better cross-platform reliability
@@ -230,7 +288,7 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
                 accessibilityLabel={`Favorite: ${item.name || item.address || 'saved place'}`}
                 onPress={() => {
                   try {
-                    updateDestination({
+                    selectPlace({
                       latitude: item.latitude,
                       longitude: item.longitude,
                       name: item.name,
@@ -253,7 +311,7 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
                       accessibilityLabel={`Set destination to ${item.name || item.address}`}
                       onPress={() => {
                         try {
-                          updateDestination({
+                          selectPlace({
                             latitude: item.latitude,
                             longitude: item.longitude,
                             name: item.name,
@@ -275,6 +333,29 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
             );
           })}
 
+        {/* Intermediate Stop Markers */}
+        {(stops || []).slice(0, -1).map((stop, index) => (
+          <Marker
+            key={`stop-${index}-${stop.latitude}-${stop.longitude}`}
+            coordinate={{ latitude: stop.latitude, longitude: stop.longitude }}
+            title={`Stop ${index + 1}: ${stop.name || 'Stop'}`}
+            description={stop.address || ''}
+            pinColor="orange"
+            tracksViewChanges={false}
+          />
+        ))}
+
+        {/* Planned Origin Marker */}
+        {tripPlan.origin && (
+          <Marker
+            coordinate={{ latitude: tripPlan.origin.latitude, longitude: tripPlan.origin.longitude }}
+            title={`From: ${tripPlan.origin.name || 'Start'}`}
+            description={tripPlan.origin.address || ''}
+            pinColor="green"
+            tracksViewChanges={false}
+          />
+        )}
+
         {/* Destination Marker */}
         {destination && (
           <Marker
@@ -288,6 +369,27 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
           />
         )}
 
+        {/* Unselected alternative routes (tap to select) — drawn before children so the active route stays on top */}
+        {!isJourneyActive &&
+          displayAlternatives.map((coordinates, index) => {
+            if (index === selectedRouteIndex || !coordinates || coordinates.length === 0) return null;
+            return (
+              <Polyline
+                key={`alt-${index}`}
+                coordinates={coordinates}
+                strokeColor="#9CA3AF"
+                strokeWidth={5}
+                lineCap="round"
+                lineJoin="round"
+                tappable={true}
+                onPress={() => {
+                  console.log('🗺️ [MapViewContainer] alternative route tapped', index);
+                  selectRoute(index);
+                }}
+              />
+            );
+          })}
+
         {/* Render children (e.g., RouteDirections with Polyline) */}
         {children}
       </MapView>
@@ -303,9 +405,19 @@ const MapViewContainer = ({ userLocation, onMapPress, children }) => {
         </View>
       )}
 
-      {/* Custom reposition button (bottom-right) */}
+      {/* Traffic layer toggle (stacked above the reposition button) */}
+      <TouchableOpacity
+        style={[styles.trafficBtn, showTraffic && styles.trafficBtnActive]}
+        onPress={() => setShowTraffic((value) => !value)}
+        accessibilityLabel={showTraffic ? 'Hide traffic' : 'Show traffic'}
+      >
+        <Ionicons name="car" size={22} color={showTraffic ? '#fff' : '#333'} />
+      </TouchableOpacity>
+
+      {/* Custom reposition button (bottom-right); long-press opens the developer menu in dev builds */}
       <TouchableOpacity
         style={styles.recenterBtn}
+        onLongPress={__DEV__ ? onOpenDeveloperMenu : undefined}
         onPress={() => {
           if (mapRef.current && userLocation) {
             // re-enable follow mode and move the map to the user location
@@ -333,12 +445,6 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
   },
-  loadingContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: '#F5F5F5',
-  },
   container: {
     flex: 1,
   },
@@ -358,6 +464,25 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.2,
     shadowRadius: 4,
   },
+  trafficBtn: {
+    position: 'absolute',
+    right: 16,
+    bottom: 92,
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  trafficBtnActive: {
+    backgroundColor: '#34A853',
+  },
   directionContainer: {
     position: 'absolute',
     left: 12,
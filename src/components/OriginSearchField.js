@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import {
+  View,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Text,
+  FlatList,
+  ActivityIndicator,
+  Keyboard,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocation } from '../context/LocationContext';
+import { fetchPlacePredictions, getPlaceDetails } from '../utils/places';
+
+/**
+ * OriginSearchField Component
+ * "From" field shown under the destination search bar while planning a trip
+ * Defaults to the current location; searching sets a planned origin instead.
+ * Without a known position (no location access) an origin has to be chosen.
+ */
+const OriginSearchField = () => {
+  const { tripPlan, setPlanOrigin, currentLocation } = useLocation();
+  const [isEditing, setIsEditing] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [predictions, setPredictions] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const insets = useSafeAreaInsets();
+
+  /**
+   * Handle text input changes
+   */
+  const handleChangeText = async (text) => {
+    setSearchText(text);
+    if (!text || text.length < 3) {
+      setPredictions([]);
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      setPredictions(await fetchPlacePredictions(text));
+    } catch (error) {
+      console.error('❌ [OriginSearchField] Prediction error:', error.message);
+      setPredictions([]);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const stopEditing = () => {
+    Keyboard.dismiss();
+    setIsEditing(false);
+    setSearchText('');
+    setPredictions([]);
+  };
+
+  /**
+   * Use an autocomplete result as the trip origin
+   */
+  const handlePlaceSelect = async (prediction) => {
+    console.log('🔔 [OriginSearchField] origin selected:', prediction.description);
+    stopEditing();
+    const place = await getPlaceDetails(prediction.place_id);
+    if (place) setPlanOrigin(place);
+  };
+
+  const handleUseCurrentLocation = () => {
+    stopEditing();
+    if (tripPlan.origin) setPlanOrigin(null);
+  };
+
+  if (!isEditing) {
+    return (
+      <View style={[styles.container, { top: insets.top + 78 }]}>
+        <TouchableOpacity style={styles.originPill} onPress={() => setIsEditing(true)} activeOpacity={0.8}>
+          <Ionicons name={tripPlan.origin ? 'location' : 'navigate'} size={16} color="#4A90E2" />
+          <Text style={styles.originText} numberOfLines={1}>
+            From: {tripPlan.origin
+              ? tripPlan.origin.name || tripPlan.origin.address
+              : currentLocation ? 'My location' : 'Choose a starting point'}
+          </Text>
+          {tripPlan.origin ? (
+            <TouchableOpacity onPress={handleUseCurrentLocation} accessibilityLabel="Start from my location">
+              <Ionicons name="close-circle" size={18} color="#9CA3AF" />
+            </TouchableOpacity>
+          ) : (
+            <Ionicons name="create-outline" size={16} color="#9CA3AF" />
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { top: insets.top + 78 }]}>
+      <View style={styles.searchBar}>
+        <Ionicons name="navigate-outline" size={16} color="#333" style={styles.searchIcon} />
+        <TextInput
+          style={styles.input}
+          placeholder="Start from..."
+          value={searchText}
+          onChangeText={handleChangeText}
+          autoFocus
+          returnKeyType="search"
+          placeholderTextColor="#999"
+        />
+        {isSearching && <ActivityIndicator size="small" color="#4A90E2" />}
+        <TouchableOpacity style={styles.cancelButton} onPress={stopEditing}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.predictionsContainer}>
+        <FlatList
+          data={predictions}
+          keyExtractor={(item) => item.place_id}
+          keyboardShouldPersistTaps="handled"
+          ListHeaderComponent={currentLocation && (
+            <TouchableOpacity style={styles.predictionItem} onPress={handleUseCurrentLocation} activeOpacity={0.7}>
+              <Ionicons name="navigate" size={18} color="#4A90E2" style={styles.predictionIcon} />
+              <Text style={styles.mainText}>My location</Text>
+            </TouchableOpacity>
+          )}
+          renderItem={({ item }) => (
+            <TouchableOpacity style={styles.predictionItem} onPress={() => handlePlaceSelect(item)} activeOpacity={0.7}>
+              <Ionicons name="location-outline" size={18} color="#6B7280" style={styles.predictionIcon} />
+              <View style={styles.predictionTextContainer}>
+                <Text style={styles.mainText} numberOfLines={1}>
+                  {item.structured_formatting.main_text}
+                </Text>
+                <Text style={styles.secondaryText} numberOfLines={1}>
+                  {item.structured_formatting.secondary_text}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+        />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    paddingHorizontal: 15,
+    zIndex: 999,
+  },
+  originPill: {
+    alignSelf: 'flex-start',
+    maxWidth: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 18,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+    elevation: 5,
+  },
+  originText: {
+    flexShrink: 1,
+    marginHorizontal: 8,
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  searchBar: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 25,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4.65,
+    elevation: 8,
+  },
+  searchIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  cancelButton: {
+    marginLeft: 10,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4A90E2',
+  },
+  predictionsContainer: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 15,
+    marginTop: 10,
+    maxHeight: 300,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    overflow: 'hidden',
+  },
+  predictionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  predictionIcon: {
+    marginRight: 12,
+  },
+  predictionTextContainer: {
+    flex: 1,
+  },
+  mainText: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '600',
+    marginBottom: 3,
+  },
+  secondaryText: {
+    fontSize: 13,
+    color: '#999',
+  },
+});
+
+export default OriginSearchField;
@@ -1,138 +1,328 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { View, StyleSheet } from 'react-native';
-import { Polyline } from 'react-native-maps';
+import { Polyline, Marker } from 'react-native-maps';
+import { Ionicons } from '@expo/vector-icons';
 import { useLocation } from '../context/LocationContext';
-import { GOOGLE_MAPS_API_KEY } from '@env';
-import { hasDeviatedFromRoute, decodePolyline } from '../utils/mapHelpers';
+import {
+  calculateDistance,
+  polylineLength,
+  remainingDistanceAlongRoute,
+  findCurrentStepIndex,
+} from '../utils/mapHelpers';
+import { getTravelModeConfig } from '../config/travelModes';
+import { getActiveAvoidances } from '../config/routePreferences';
+import { getPlanRequestTimes } from '../utils/tripPlanning';
+import { buildCongestionSegments } from '../utils/traffic';
+import { simplifyPolyline, getRenderToleranceKm } from '../utils/routeGeometry';
+import { computeRouteProgress, splitRouteAtProgress, getUpcomingManeuvers } from '../utils/routeProgress';
+import { on } from '../utils/eventBus';
+import { getRoutingProvider, toRouteError, MISSING_API_KEY, UNKNOWN_ERROR } from '../utils/routing';
+import { createRouteRequestManager } from '../utils/routing/routeRequestManager';
 
-// Log API key status on component mount
-console.log('🔑 [RouteDirections] API Key loaded:', GOOGLE_MAPS_API_KEY ? 'YES (length: ' + GOOGLE_MAPS_API_KEY.length + ')' : 'NO - MISSING!');
+// Log routing provider status on component mount
+const routingProvider = getRoutingProvider();
+console.log('🔑 [RouteDirections] Routing provider:', routingProvider.name, routingProvider.isConfigured() ? '(configured)' : '- NOT CONFIGURED!');
+
+// Shared across mounts so cached routes survive switching destinations
+const routeRequests = createRouteRequestManager();
+
+// Minimum time between two reroute requests
+const REROUTE_COOLDOWN_MS = 15000;
+// Distance (km) within which an intermediate stop counts as reached
+const STOP_REACHED_RADIUS_KM = 0.04;
 
 /**
  * RouteDirections Component
- * Handles route calculation and rendering using Google Directions API
+ * Handles route calculation (through the configured routing provider) and rendering
  * Displays polyline on map and manages route recalculation
- * 
+ *
  * @param {Object} props
- * @param {Object} props.origin - Origin coordinates
+ * @param {Object} props.origin - Origin coordinates (live position or planned origin)
  * @param {Object} props.destination - Destination coordinates
  * @param {Function} props.onRouteReady - Callback when route is calculated
  */
 const RouteDirections = ({ origin, destination, onRouteReady }) => {
   const {
-    updateRoute,
+    updateRouteAlternatives,
     setIsLoadingRoute,
+    setIsRerouting,
+    routeError,
+    setRouteError,
+    routeRetryCount,
+    routeInfo,
     routeCoordinates,
     currentLocation,
+    isJourneyActive,
+    travelMode,
+    routePreferences,
+    tripPlan,
+    stops,
+    currentStopIndex,
+    advanceStop,
+    completeJourney,
+    currentStepIndex,
+    setCurrentStepIndex,
+    routeProgress,
+    setRouteProgress,
   } = useLocation();
-  
-  const previousLocationRef = useRef(null);
-  const routeCheckIntervalRef = useRef(null);
-  const isFetchingRef = useRef(false);
-  const lastFetchKeyRef = useRef(null);
 
-  // Monitor for route deviation and trigger recalculation
+  const modeConfig = getTravelModeConfig(travelMode);
+
+  const offRouteCountRef = useRef(0);
+  // Progress from the previous fix; matching searches forward from it
+  const progressRef = useRef(null);
+  const lastRerouteAtRef = useRef(0);
+  // Only the latest request may update loading state; older ones are cancelled
+  const requestIdRef = useRef(0);
+  // Retry count already handled by the fetch effect
+  const handledRetryRef = useRef(routeRetryCount);
+  // Simplification tolerance for drawing the route at the current map zoom
+  const [renderToleranceKm, setRenderToleranceKm] = useState(0);
+
+  // Intermediate stops (everything before the final destination)
+  const waypoints = stops.slice(0, -1);
+  const waypointsKey = waypoints.map((w) => `${w.latitude},${w.longitude}`).join('|');
+  // Applied to every request, so reroutes keep the user's avoidances
+  const avoid = getActiveAvoidances(routePreferences);
+  const avoidKey = avoid.join(',');
+
+  /**
+   * Request routes from the routing provider and push them into context
+   * @param {Object} from - Origin coordinates
+   * @param {Object} to - Destination coordinates
+   * @param {Object} [options]
+   * @param {Array} [options.via] - Intermediate stops to route through
+   * @param {number} [options.stopOffset] - Stop index reached by the first leg
+   * @param {boolean} [options.isReroute] - True when recalculating after a deviation
+   */
+  const fetchRoute = async (from, to, { via = [], stopOffset = 0, isReroute = false } = {}) => {
+    const requestId = ++requestIdRef.current;
+
+    console.log(isReroute ? '🔄 [RouteDirections] Rerouting...' : '🚀 [RouteDirections] Fetching route...');
+    // A reroute keeps the current route visible until the new one arrives
+    if (isReroute) setIsRerouting(true);
+    else setIsLoadingRoute(true);
+
+    try {
+      const alternatives = await routeRequests.request({
+        origin: from,
+        destination: to,
+        waypoints: via,
+        mode: travelMode,
+        avoid,
+        ...getPlanRequestTimes(tripPlan),
+        stopOffset,
+        planOrigin: tripPlan.origin,
+      });
+      // Superseded by a newer request
+      if (!alternatives) return;
+      const [best] = alternatives;
+
+      console.log('✅ [RouteDirections] Route calculated:', best.info.distance.toFixed(1), 'km -', Math.round(best.info.duration), 'min', `(${alternatives.length} option(s))`);
+
+      // Keep the user's pick when the same corridor comes back on a refresh
+      const previousSummary = !isReroute && routeInfo?.summary;
+      const keepIndex = previousSummary ? alternatives.findIndex((alt) => alt.info.summary === previousSummary) : -1;
+      const selectedIndex = keepIndex >= 0 ? keepIndex : 0;
+      updateRouteAlternatives(alternatives, selectedIndex);
+
+      if (onRouteReady) {
+        onRouteReady({ coordinates: alternatives[selectedIndex].coordinates, routes: alternatives });
+      }
+    } catch (error) {
+      const routeFailure = toRouteError(error);
+      console.error('❌ [RouteDirections] Routing error:', routeFailure.status, routeFailure.message);
+      // Not an answer from the provider: keep the stack so the defect can be found
+      if (routeFailure.status === UNKNOWN_ERROR) console.error(error);
+      // A failed reroute keeps the current route; the next confirmed deviation tries again
+      if (!isReroute && requestId === requestIdRef.current) {
+        setRouteError(routeFailure);
+      }
+    } finally {
+      if (requestId === requestIdRef.current) {
+        if (isReroute) setIsRerouting(false);
+        else setIsLoadingRoute(false);
+      }
+    }
+  };
+
+  // Cancel the pending request when the trip is cleared (this component unmounts)
+  useEffect(() => () => routeRequests.cancel(), []);
+
+  // Count routing requests per journey and report them when it ends
   useEffect(() => {
-    if (origin && destination && routeCoordinates.length > 0) {
-      routeCheckIntervalRef.current = setInterval(() => {
-        if (currentLocation) {
-          const deviated = hasDeviatedFromRoute(
-            currentLocation,
-            routeCoordinates,
-            0.05 // 50 meters threshold
-          );
-
-          if (deviated && previousLocationRef.current) {
-            console.log('User deviated from route. Recalculating...');
-            // Trigger route recalculation by updating origin
-            // This will cause MapViewDirections to recalculate
-          }
-
-          previousLocationRef.current = currentLocation;
-        }
-      }, 10000); // Check every 10 seconds
-
-      return () => {
-        if (routeCheckIntervalRef.current) {
-          clearInterval(routeCheckIntervalRef.current);
-        }
-      };
+    if (!isJourneyActive) return undefined;
+    routeRequests.resetStats();
+    return () => {
+      const { network, cacheHits, cancelled } = routeRequests.getStats();
+      console.log('📊 [RouteDirections] Journey route requests:', network, 'network,', cacheHits, 'cached,', cancelled, 'cancelled');
+    };
+  }, [isJourneyActive]);
+
+  // Reset deviation tracking whenever a new route arrives or the journey state changes
+  useEffect(() => {
+    offRouteCountRef.current = 0;
+    progressRef.current = null;
+  }, [routeCoordinates, isJourneyActive]);
+
+  const routeLengthKm = useMemo(() => polylineLength(routeCoordinates), [routeCoordinates]);
+
+  // Track which step of the route the user is on
+  useEffect(() => {
+    if (!isJourneyActive || !currentLocation || !routeInfo?.steps?.length) return;
+    const { stepIndexByPoint } = routeInfo;
+    let index;
+    if (routeProgress && stepIndexByPoint && stepIndexByPoint.length === routeCoordinates.length) {
+      // The matched route segment knows which step it belongs to; off the route, stay on the current step
+      index = routeProgress.onRoute
+        ? Math.max(currentStepIndex, stepIndexByPoint[routeProgress.segmentIndex])
+        : currentStepIndex;
+    } else {
+      index = findCurrentStepIndex(currentLocation, routeInfo.steps, currentStepIndex);
+    }
+    if (index !== currentStepIndex) {
+      console.log('🧭 [RouteDirections] Step', index + 1, '/', routeInfo.steps.length, routeInfo.steps[index].maneuver);
+      setCurrentStepIndex(index);
+    }
+  }, [currentLocation?.latitude, currentLocation?.longitude, isJourneyActive, routeInfo, routeCoordinates, routeProgress, currentStepIndex]);
+
+  // Advance to the next leg once an intermediate stop is reached, and end the journey at the destination
+  useEffect(() => {
+    if (!isJourneyActive || !currentLocation || stops.length === 0) return;
+
+    if (currentStopIndex < stops.length - 1) {
+      const nextStop = stops[currentStopIndex];
+      if (nextStop && calculateDistance(currentLocation, nextStop) <= STOP_REACHED_RADIUS_KM) {
+        console.log('✅ [RouteDirections] Reached stop', currentStopIndex + 1, nextStop.name || '');
+        advanceStop();
+      }
+      return;
     }
-  }, [routeCoordinates, currentLocation, destination, origin]);
 
-  // Fetch route from Google Directions API
+    // Arrival needs both proximity to the destination and (almost) nothing left along the route,
+    // so passing close to the destination on the way in doesn't end the journey early
+    const { arrivalRadiusKm } = modeConfig;
+    if (calculateDistance(currentLocation, destination) > arrivalRadiusKm) return;
+    let remainingKm = 0;
+    if (routeProgress?.onRoute) remainingKm = routeProgress.remainingKm;
+    else if (routeCoordinates.length > 0) remainingKm = remainingDistanceAlongRoute(currentLocation, routeCoordinates);
+    if (remainingKm !== null && remainingKm > arrivalRadiusKm * 2) return;
+
+    console.log('🏁 [RouteDirections] Destination reached');
+    completeJourney();
+  }, [currentLocation?.latitude, currentLocation?.longitude, isJourneyActive, currentStopIndex, stops, routeCoordinates, routeProgress]);
+
+  // Match each location fix to the route, publish the progress, and reroute once a deviation is confirmed
   useEffect(() => {
-    if (!origin || !destination || !GOOGLE_MAPS_API_KEY) {
+    if (!isJourneyActive || !destination || !currentLocation || routeCoordinates.length === 0) {
       return;
     }
 
-    // Create a unique key for this route request
-    const fetchKey = `${origin.latitude},${origin.longitude}-${destination.latitude},${destination.longitude}`;
-    
-    // Skip if we're already fetching the same route
-    if (isFetchingRef.current) {
+    const progress = computeRouteProgress(currentLocation, routeCoordinates, {
+      totalKm: routeLengthKm,
+      snapKm: modeConfig.progressSnapKm,
+      previous: progressRef.current,
+    });
+    if (!progress) return;
+    progressRef.current = progress;
+    setRouteProgress(progress);
+
+    if (progress.distanceFromRouteKm <= modeConfig.deviationThresholdKm) {
+      offRouteCountRef.current = 0;
       return;
     }
-    
-    // If this is a different route than last time, allow refetch
-    if (lastFetchKeyRef.current === fetchKey) {
+
+    offRouteCountRef.current += 1;
+    console.log('⚠️ [RouteDirections] Off route fix', offRouteCountRef.current, '/', modeConfig.deviationConfirmFixes);
+
+    if (offRouteCountRef.current < modeConfig.deviationConfirmFixes) return;
+    if (Date.now() - lastRerouteAtRef.current < REROUTE_COOLDOWN_MS) return;
+
+    console.log('🔄 [RouteDirections] Deviation confirmed, recalculating from current position');
+    offRouteCountRef.current = 0;
+    lastRerouteAtRef.current = Date.now();
+    // Route through the stops that haven't been reached yet
+    fetchRoute(
+      { latitude: currentLocation.latitude, longitude: currentLocation.longitude },
+      destination,
+      { via: waypoints.slice(currentStopIndex), stopOffset: currentStopIndex, isReroute: true }
+    );
+  }, [currentLocation?.latitude, currentLocation?.longitude, routeCoordinates, isJourneyActive, destination, travelMode]);
+
+  // Fetch route from the routing provider; also runs when the route is cleared (e.g. the same
+  // destination picked again) so a cleared route is always fetched anew
+  const hasRoute = routeCoordinates.length > 0;
+  useEffect(() => {
+    if (!origin || !destination) {
       return;
     }
 
-    const fetchRoute = async () => {
-      isFetchingRef.current = true;
-      lastFetchKeyRef.current = fetchKey;
-      
-      console.log('🚀 [RouteDirections] Fetching route...');
-      setIsLoadingRoute(true);
-      
-      try {
-        const originStr = `${origin.latitude},${origin.longitude}`;
-        const destStr = `${destination.latitude},${destination.longitude}`;
-        
-        const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${originStr}&destination=${destStr}&key=${GOOGLE_MAPS_API_KEY}&mode=driving`;
-        
-        const response = await fetch(url);
-        const data = await response.json();
-        
-        if (data.status === 'OK' && data.routes.length > 0) {
-          const route = data.routes[0];
-          const leg = route.legs[0];
-          
-          console.log('✅ [RouteDirections] Route calculated:', leg.distance.text, '-', leg.duration.text);
-          
-          // Decode polyline
-          const points = decodePolyline(route.overview_polyline.points);
-          
-          // Extract route information
-          const routeInfo = {
-            distance: leg.distance.value / 1000, // Convert to km
-            duration: leg.duration.value / 60, // Convert to minutes
-            steps: leg.steps.map((step) => ({
-              instruction: step.html_instructions.replace(/<[^>]*>/g, ''), // Remove HTML tags
-              distance: step.distance.text,
-              duration: step.duration.text,
-            })),
-          };
-          
-          updateRoute(routeInfo, points);
-          
-          if (onRouteReady) {
-            onRouteReady({ coordinates: points, ...data });
-          }
-        } else {
-          console.error('❌ [RouteDirections] API error:', data.status);
-        }
-      } catch (error) {
-        console.error('❌ [RouteDirections] Fetch error:', error.message);
-      } finally {
+    if (!routingProvider.isConfigured()) {
+      if (routeError?.status !== MISSING_API_KEY) {
+        console.error('❌ [RouteDirections] Routing provider not configured:', routingProvider.name);
+        setRouteError({ status: MISSING_API_KEY, message: '' });
         setIsLoadingRoute(false);
-        isFetchingRef.current = false;
       }
+      return;
+    }
+
+    // During a journey the route only changes through rerouting
+    if (isJourneyActive && routeCoordinates.length > 0) {
+      return;
+    }
+
+    // GPS updates move the origin constantly; only refetch the same trip after real movement,
+    // unless the user asked to retry or the route was cleared
+    const isRetry = routeRetryCount !== handledRetryRef.current;
+    handledRetryRef.current = routeRetryCount;
+    // A failed trip waits for a retry; changing the trip clears the error
+    if (routeError && !isRetry) {
+      return;
+    }
+    const request = {
+      origin,
+      destination,
+      waypoints,
+      mode: travelMode,
+      avoid,
+      ...getPlanRequestTimes(tripPlan),
+      planOrigin: tripPlan.origin,
     };
+    if (!isRetry && routeRequests.isThrottled(request, { routeShown: hasRoute })) {
+      return;
+    }
+
+    fetchRoute(origin, destination, { via: waypoints });
+  }, [origin?.latitude, origin?.longitude, destination?.latitude, destination?.longitude, travelMode, waypointsKey, avoidKey, tripPlan.timeMode, tripPlan.time, routeRetryCount, hasRoute]);
 
-    fetchRoute();
-  }, [origin?.latitude, origin?.longitude, destination?.latitude, destination?.longitude, GOOGLE_MAPS_API_KEY]);
+  // Draw with less detail when zoomed out; matching and progress always use the full geometry
+  useEffect(() => on('mapRegionChanged', (region) => setRenderToleranceKm(getRenderToleranceKm(region.latitudeDelta))), []);
+
+  const displayCoordinates = useMemo(
+    () => simplifyPolyline(routeCoordinates, renderToleranceKm),
+    [routeCoordinates, renderToleranceKm]
+  );
+
+  // Color the route by congestion when it comes with traffic data
+  const congestionSegments = useMemo(
+    () => buildCongestionSegments(routeInfo).map((segment) => ({
+      ...segment,
+      coordinates: simplifyPolyline(segment.coordinates, renderToleranceKm),
+    })),
+    [routeInfo, renderToleranceKm]
+  );
+
+  // During a journey the part already travelled is drawn faded over the route
+  const traveledCoordinates = useMemo(() => {
+    if (!isJourneyActive || !routeProgress) return [];
+    return simplifyPolyline(splitRouteAtProgress(routeCoordinates, routeProgress).traveled, renderToleranceKm);
+  }, [isJourneyActive, routeCoordinates, routeProgress, renderToleranceKm]);
+
+  // Arrows at the next few turns
+  const upcomingManeuvers = useMemo(
+    () => (isJourneyActive ? getUpcomingManeuvers(routeInfo?.steps, currentStepIndex) : []),
+    [isJourneyActive, routeInfo, currentStepIndex]
+  );
 
   if (!origin || !destination) {
     return null;
@@ -140,21 +330,64 @@ const RouteDirections = ({ origin, destination, onRouteReady }) => {
 
   return (
     <>
-      {routeCoordinates.length > 0 && (
+      {routeCoordinates.length > 0 && congestionSegments.length > 0 && congestionSegments.map((segment, index) => (
+        <Polyline
+          key={`congestion-${index}`}
+          coordinates={segment.coordinates}
+          strokeColor={segment.color}
+          strokeWidth={5}
+          lineCap="round"
+          lineJoin="round"
+        />
+      ))}
+      {routeCoordinates.length > 0 && congestionSegments.length === 0 && (
         <Polyline
-          coordinates={routeCoordinates}
+          coordinates={displayCoordinates}
           strokeColor="#4A90E2"
           strokeWidth={5}
           lineCap="round"
           lineJoin="round"
         />
       )}
+      {traveledCoordinates.length > 1 && (
+        <Polyline
+          coordinates={traveledCoordinates}
+          strokeColor="#B8C7DA"
+          strokeWidth={5}
+          lineCap="round"
+          lineJoin="round"
+          zIndex={1}
+        />
+      )}
+      {upcomingManeuvers.map((maneuver) => (
+        <Marker
+          key={`maneuver-${maneuver.stepIndex}`}
+          coordinate={maneuver.coordinate}
+          rotation={maneuver.bearing}
+          flat={true}
+          anchor={{ x: 0.5, y: 0.5 }}
+          tracksViewChanges={false}
+        >
+          <View style={styles.maneuverArrow}>
+            <Ionicons name="arrow-up" size={14} color="#fff" />
+          </View>
+        </Marker>
+      ))}
     </>
   );
 };
 
 const styles = StyleSheet.create({
-  // No styles needed for this component
+  maneuverArrow: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#1F3A5F',
+    borderWidth: 2,
+    borderColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
 });
 
 export default RouteDirections;
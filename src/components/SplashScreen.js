@@ -1,18 +1,39 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { View, Text, StyleSheet, Animated, Image } from 'react-native';
 
-const SplashScreen = ({ onFinish, duration = 1200 }) => {
+/**
+ * SplashScreen Component
+ * Shown for at least `duration` ms, then fades out as soon as the app is `ready`,
+ * so it covers startup work instead of giving way to a loading screen.
+ *
+ * @param {Object} props
+ * @param {Function} props.onFinish - Called after the fade-out (keep it stable: a new function restarts the fade)
+ * @param {number} [props.duration] - Minimum time on screen (ms)
+ * @param {boolean} [props.ready] - Whether the screen underneath can be shown
+ */
+const SplashScreen = ({ onFinish, duration = 1200, ready = true }) => {
   const opacity = useRef(new Animated.Value(0)).current;
+  const [minimumShown, setMinimumShown] = useState(false);
 
   useEffect(() => {
-    Animated.sequence([
-      Animated.timing(opacity, { toValue: 1, duration: 450, useNativeDriver: true }),
-      Animated.delay(Math.max(200, duration - 450)),
-      Animated.timing(opacity, { toValue: 0, duration: 300, useNativeDriver: true }),
-    ]).start(() => {
-      if (onFinish) onFinish();
+    const fadeIn = Animated.timing(opacity, { toValue: 1, duration: 450, useNativeDriver: true });
+    fadeIn.start();
+    const t = setTimeout(() => setMinimumShown(true), Math.max(650, duration));
+    return () => {
+      clearTimeout(t);
+      fadeIn.stop();
+    };
+  }, [opacity, duration]);
+
+  useEffect(() => {
+    if (!minimumShown || !ready) return undefined;
+    const fadeOut = Animated.timing(opacity, { toValue: 0, duration: 300, useNativeDriver: true });
+    fadeOut.start(({ finished }) => {
+      // Stopped early (unmounted, or no longer ready): the splash hasn't finished
+      if (finished && onFinish) onFinish();
     });
-  }, [opacity, duration, onFinish]);
+    return () => fadeOut.stop();
+  }, [minimumShown, ready, opacity, onFinish]);
 
   return (
     <Animated.View style={[styles.container, { opacity }]} pointerEvents="none">
@@ -0,0 +1,100 @@
+/**
+ * Location Profile Configuration
+ * How often and how precisely location is tracked in each situation, so the
+ * GPS only works hard while navigating. `accuracy` names an expo-location
+ * `Accuracy` level; `heading` says whether the compass is needed: always (true),
+ * never (false) or only while slow ('slow', see shouldWatchCompass).
+ */
+
+import { COURSE_MIN_SPEED_MPS } from '../utils/headingFusion';
+
+export const LOCATION_PROFILES = {
+  // Browsing the map without a destination
+  idle: {
+    key: 'idle',
+    accuracy: 'Balanced',
+    distanceInterval: 25, // meters
+    timeInterval: 15000, // ms
+    heading: false,
+  },
+  // Destination selected, route shown but not navigating; the direction arrow uses the compass
+  preview: {
+    key: 'preview',
+    accuracy: 'High',
+    distanceInterval: 10,
+    timeInterval: 5000,
+    heading: true,
+  },
+  // Navigating at vehicle speeds; fixes keep coming while stopped so progress and signal checks stay live
+  driving: {
+    key: 'driving',
+    accuracy: 'BestForNavigation',
+    distanceInterval: 0,
+    timeInterval: 1000,
+    heading: 'slow', // Inside a moving vehicle the compass is unreliable; stopped, it's the only heading there is
+  },
+  // Navigating on foot; the compass shows which way the user faces
+  walking: {
+    key: 'walking',
+    accuracy: 'High',
+    distanceInterval: 0,
+    timeInterval: 2000,
+    heading: true,
+  },
+  // Background task during a journey (nothing is on screen)
+  background: {
+    key: 'background',
+    accuracy: 'High',
+    distanceInterval: 10,
+    timeInterval: 5000,
+    heading: false,
+  },
+};
+
+// Journey profile for modes that always move at one kind of speed
+const MODE_PROFILES = {
+  driving: 'driving',
+  walking: 'walking',
+};
+
+// Other modes (cycling, transit) switch on speed, with a gap so they don't flip back and forth (m/s)
+const VEHICLE_SPEED_UP_MPS = 4;
+const VEHICLE_SPEED_DOWN_MPS = 2;
+
+// Once on, a 'slow' compass stays on until the GPS course has clearly taken over (m/s)
+const COMPASS_OFF_SPEED_MPS = 4;
+
+/**
+ * Whether the compass should be watched for a profile at the current speed
+ * 'slow' profiles watch it below the speed where the GPS course takes over, with a
+ * gap so it isn't started and stopped over and over around that speed.
+ * @param {Object} profile - Location profile
+ * @param {number|null} speedMps - Current speed (null when unknown)
+ * @param {boolean} watching - Whether the compass is being watched now
+ * @returns {boolean}
+ */
+export const shouldWatchCompass = (profile, speedMps, watching) => {
+  if (profile.heading !== 'slow') return !!profile.heading;
+  if (speedMps === null || speedMps === undefined) return true;
+  return speedMps < (watching ? COMPASS_OFF_SPEED_MPS : COURSE_MIN_SPEED_MPS);
+};
+
+/**
+ * Pick the foreground location profile for the current situation
+ * @param {Object} state
+ * @param {boolean} state.isJourneyActive - Navigating
+ * @param {boolean} state.hasDestination - A route is being previewed
+ * @param {string} state.travelMode - Travel mode key
+ * @param {number|null} state.speedMps - Current speed
+ * @param {string} [state.currentKey] - Profile in use, for hysteresis
+ * @returns {Object} Location profile
+ */
+export const selectLocationProfile = ({ isJourneyActive, hasDestination, travelMode, speedMps, currentKey }) => {
+  if (!isJourneyActive) return hasDestination ? LOCATION_PROFILES.preview : LOCATION_PROFILES.idle;
+  if (MODE_PROFILES[travelMode]) return LOCATION_PROFILES[MODE_PROFILES[travelMode]];
+
+  const threshold = currentKey === 'driving' ? VEHICLE_SPEED_DOWN_MPS : VEHICLE_SPEED_UP_MPS;
+  return (speedMps || 0) > threshold ? LOCATION_PROFILES.driving : LOCATION_PROFILES.walking;
+};
+
+export default LOCATION_PROFILES;
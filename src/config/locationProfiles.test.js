@@ -0,0 +1,23 @@
+import { LOCATION_PROFILES, selectLocationProfile, shouldWatchCompass } from './locationProfiles';
+import { COURSE_MIN_SPEED_MPS } from '../utils/headingFusion';
+
+describe('shouldWatchCompass', () => {
+  it('watches the compass while a stopped driver has no course to go by', () => {
+    const driving = selectLocationProfile({ isJourneyActive: true, travelMode: 'driving', speedMps: 0 });
+    expect(driving).toBe(LOCATION_PROFILES.driving);
+    expect(shouldWatchCompass(driving, 0, false)).toBe(true);
+    expect(shouldWatchCompass(driving, null, false)).toBe(true);
+  });
+
+  it('stops it once the driver is clearly moving, with a gap around the course speed', () => {
+    const { driving } = LOCATION_PROFILES;
+    expect(shouldWatchCompass(driving, COURSE_MIN_SPEED_MPS, false)).toBe(false);
+    expect(shouldWatchCompass(driving, COURSE_MIN_SPEED_MPS + 1, true)).toBe(true);
+    expect(shouldWatchCompass(driving, 15, true)).toBe(false);
+  });
+
+  it('follows the fixed setting of the other profiles', () => {
+    expect(shouldWatchCompass(LOCATION_PROFILES.walking, 10, false)).toBe(true);
+    expect(shouldWatchCompass(LOCATION_PROFILES.idle, 0, false)).toBe(false);
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Map Defaults
+ * Where the map opens while the user's position is unknown (no location access
+ * yet). Place search is limited to Namibia, so it starts over Windhoek.
+ */
+
+export const DEFAULT_REGION = {
+  latitude: -22.5609,
+  longitude: 17.0658,
+  latitudeDelta: 0.15,
+  longitudeDelta: 0.15,
+};
+
+export default DEFAULT_REGION;
@@ -0,0 +1,49 @@
+/**
+ * Route Preference Configuration
+ * Road features the user can ask routes to avoid. Providers translate the
+ * keys into their own request parameters (see utils/routing).
+ */
+
+export const ROUTE_AVOIDANCES = {
+  tolls: {
+    key: 'tolls',
+    label: 'Tolls',
+    icon: 'cash-outline',
+    usedWarning: 'This route includes toll roads', // Shown when the route still uses the avoided feature
+  },
+  highways: {
+    key: 'highways',
+    label: 'Highways',
+    icon: 'speedometer-outline',
+    usedWarning: 'This route uses highways',
+  },
+  ferries: {
+    key: 'ferries',
+    label: 'Ferries',
+    icon: 'boat-outline',
+    usedWarning: 'This route includes a ferry',
+  },
+  unpaved: {
+    key: 'unpaved',
+    label: 'Unpaved',
+    icon: 'trail-sign-outline',
+    usedWarning: 'This route uses unpaved roads',
+  },
+};
+
+// Display order for the preference chips
+export const ROUTE_AVOIDANCE_ORDER = ['tolls', 'highways', 'ferries', 'unpaved'];
+
+export const DEFAULT_ROUTE_PREFERENCES = {
+  avoid: { tolls: false, highways: false, ferries: false, unpaved: false },
+};
+
+/**
+ * Get the features the user wants to avoid
+ * @param {Object} preferences - Route preferences ({ avoid: { [key]: boolean } })
+ * @returns {Array} Avoidance keys, in display order
+ */
+export const getActiveAvoidances = (preferences) =>
+  ROUTE_AVOIDANCE_ORDER.filter((key) => preferences?.avoid?.[key]);
+
+export default ROUTE_AVOIDANCES;
@@ -0,0 +1,22 @@
+/**
+ * Routing Configuration
+ * Selects the routing provider used for directions. Values come from `.env`
+ * (via react-native-dotenv) so a self-hosted or local OSRM-compatible server
+ * can be used without a Google API key.
+ *
+ *   ROUTING_PROVIDER=google | osrm | demo   (default: google)
+ *   OSRM_BASE_URL=http://localhost:5000
+ */
+
+import { ROUTING_PROVIDER, OSRM_BASE_URL } from '@env';
+
+export const DEFAULT_ROUTING_PROVIDER = 'google';
+
+export const DEFAULT_OSRM_BASE_URL = 'http://localhost:5000';
+
+export const ROUTING_CONFIG = {
+  provider: (ROUTING_PROVIDER || DEFAULT_ROUTING_PROVIDER).toLowerCase(),
+  osrmBaseUrl: (OSRM_BASE_URL || DEFAULT_OSRM_BASE_URL).replace(/\/+$/, ''),
+};
+
+export default ROUTING_CONFIG;
@@ -0,0 +1,76 @@
+/**
+ * Travel Mode Configuration
+ * Per-mode settings used by routing, deviation detection, the follow camera
+ * and journey progress. Thresholds are in kilometers to match mapHelpers.
+ */
+
+export const DEFAULT_TRAVEL_MODE = 'driving';
+
+export const TRAVEL_MODES = {
+  driving: {
+    key: 'driving',
+    label: 'Drive',
+    icon: 'car-outline',
+    apiMode: 'driving', // Directions API `mode` parameter
+    deviationThresholdKm: 0.05,
+    deviationConfirmFixes: 3,
+    followDelta: 0.01, // Map region delta while following during a journey
+    progressSnapKm: 0.1, // Beyond this distance from the route, progress falls back to straight-line
+    arrivalRadiusKm: 0.05, // Within this distance of the destination the journey counts as complete
+    guidanceThresholdsM: [500, 150], // Distances (m) at which upcoming maneuvers are announced
+    simulatedSpeedMps: 13.9, // Speed of the developer-menu route simulator (m/s)
+    backgroundActivityType: 'AutomotiveNavigation', // expo-location ActivityType for background updates (iOS)
+  },
+  walking: {
+    key: 'walking',
+    label: 'Walk',
+    icon: 'walk-outline',
+    apiMode: 'walking',
+    deviationThresholdKm: 0.03,
+    deviationConfirmFixes: 4, // Slow movement and noisy fixes between buildings
+    followDelta: 0.003,
+    progressSnapKm: 0.04,
+    arrivalRadiusKm: 0.02,
+    guidanceThresholdsM: [150, 50],
+    simulatedSpeedMps: 1.4,
+    backgroundActivityType: 'Fitness',
+  },
+  cycling: {
+    key: 'cycling',
+    label: 'Cycle',
+    icon: 'bicycle-outline',
+    apiMode: 'bicycling',
+    deviationThresholdKm: 0.04,
+    deviationConfirmFixes: 3,
+    followDelta: 0.005,
+    progressSnapKm: 0.06,
+    arrivalRadiusKm: 0.03,
+    guidanceThresholdsM: [300, 100],
+    simulatedSpeedMps: 4.5,
+    backgroundActivityType: 'Fitness',
+  },
+  transit: {
+    key: 'transit',
+    label: 'Transit',
+    icon: 'bus-outline',
+    apiMode: 'transit',
+    deviationThresholdKm: 0.2, // Vehicles don't follow the drawn walking/transit geometry closely
+    deviationConfirmFixes: 3,
+    followDelta: 0.015,
+    progressSnapKm: 0.25,
+    arrivalRadiusKm: 0.1,
+    guidanceThresholdsM: [500, 150],
+    simulatedSpeedMps: 8.3,
+    backgroundActivityType: 'OtherNavigation',
+  },
+};
+
+// Display order for mode selectors
+export const TRAVEL_MODE_ORDER = ['driving', 'walking', 'cycling', 'transit'];
+
+/**
+ * Get configuration for a travel mode, falling back to the default mode
+ * @param {string} mode - Travel mode key
+ * @returns {Object} Travel mode configuration
+ */
+export const getTravelModeConfig = (mode) => TRAVEL_MODES[mode] || TRAVEL_MODES[DEFAULT_TRAVEL_MODE];
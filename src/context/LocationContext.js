@@ -1,4 +1,9 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useRef, useEffect } from 'react';
+import { DEFAULT_TRAVEL_MODE, TRAVEL_MODES } from '../config/travelModes';
+import { DEFAULT_ROUTE_PREFERENCES, ROUTE_AVOIDANCES } from '../config/routePreferences';
+import { loadRoutePreferences, saveRoutePreferences } from '../utils/storage';
+import { DEFAULT_TRIP_PLAN, TRIP_TIME_MODES, isPlannedTrip } from '../utils/tripPlanning';
+import { calculateDistance } from '../utils/mapHelpers';
 
 /**
  * Location Context for managing global location state
@@ -28,42 +33,206 @@ export const useLocation = () => {
 export const LocationProvider = ({ children }) => {
   // Current user location
   const [currentLocation, setCurrentLocation] = useState(null);
+
+  // GPS signal quality from the location filter: 'good', 'fair', 'poor' or 'lost'
+  const [locationQuality, setLocationQuality] = useState('fair');
   
-  // Selected destination
-  const [destination, setDestination] = useState(null);
+  // Ordered trip stops; the last stop is the final destination
+  const [stops, setStops] = useState([]);
+
+  // Selected destination (always the final stop)
+  const destination = stops.length > 0 ? stops[stops.length - 1] : null;
+
+  // Index into stops of the next stop to reach during a journey
+  const [currentStopIndex, setCurrentStopIndex] = useState(0);
+
+  // True while the user is picking a place to add as an extra stop
+  const [isAddingStop, setIsAddingStop] = useState(false);
   
   // Route information (distance, duration, steps)
   const [routeInfo, setRouteInfo] = useState(null);
   
   // Route coordinates for drawing polyline
   const [routeCoordinates, setRouteCoordinates] = useState([]);
+
+  // Candidate routes returned by the Directions API ({ info, coordinates })
+  const [routeAlternatives, setRouteAlternatives] = useState([]);
+
+  // Index into routeAlternatives of the route currently in routeInfo/routeCoordinates
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
   
+  // Index into routeInfo.steps of the step the user is currently on
+  const [currentStepIndex, setCurrentStepIndex] = useState(0);
+
+  // Where the user is along the route during a journey (see utils/routeProgress)
+  const [routeProgress, setRouteProgress] = useState(null);
+
   // Loading state for route calculation
   const [isLoadingRoute, setIsLoadingRoute] = useState(false);
 
   // Journey state (whether navigation has started)
   const [isJourneyActive, setIsJourneyActive] = useState(false);
 
+  // Selected travel mode (kept across destination changes)
+  const [travelMode, setTravelModeState] = useState(DEFAULT_TRAVEL_MODE);
+
+  // Features routes should avoid (persisted, applied to every request including reroutes)
+  const [routePreferences, setRoutePreferences] = useState(DEFAULT_ROUTE_PREFERENCES);
+
+  // Trip planned from another origin and/or at another time ({ origin, timeMode, time }).
+  // Kept apart from the live journey, which always starts from the GPS position now.
+  const [tripPlan, setTripPlan] = useState(DEFAULT_TRIP_PLAN);
+
+  // True while a new route is being fetched after the user left the current one
+  const [isRerouting, setIsRerouting] = useState(false);
+
+  // Spoken guidance muted by the user (kept across journeys)
+  const [isVoiceMuted, setIsVoiceMuted] = useState(false);
+
+  // Why the last route calculation failed ({ status, message }), shown with recovery options
+  const [routeError, setRouteError] = useState(null);
+
+  // Bumped to ask RouteDirections to calculate the route again
+  const [routeRetryCount, setRouteRetryCount] = useState(0);
+
+  // Summary of the journey that just completed ({ destination, durationMin, distanceKm, arrivedAt })
+  const [arrival, setArrival] = useState(null);
+
+  // Journey statistics tracked without re-rendering on every fix
+  const journeyStartedAtRef = useRef(null);
+  const journeyDistanceRef = useRef(0);
+  const lastJourneyFixRef = useRef(null);
+
+  // Restore saved route preferences
+  useEffect(() => {
+    loadRoutePreferences().then((saved) => {
+      if (!saved) return;
+      console.log('⚙️ [Context] Route preferences loaded');
+      setRoutePreferences({
+        ...DEFAULT_ROUTE_PREFERENCES,
+        ...saved,
+        avoid: { ...DEFAULT_ROUTE_PREFERENCES.avoid, ...saved.avoid },
+      });
+    });
+  }, []);
+
   /**
    * Update current user location
-   * @param {Object} location - Location object with latitude and longitude
+   * @param {Object} location - Filtered location ({ latitude, longitude, accuracy, speed, course, timestamp })
    */
   const updateCurrentLocation = (location) => {
     setCurrentLocation(location);
+    // Accumulate distance actually travelled during a journey
+    if (isJourneyActive && location) {
+      if (lastJourneyFixRef.current) {
+        journeyDistanceRef.current += calculateDistance(lastJourneyFixRef.current, location);
+      }
+      lastJourneyFixRef.current = { latitude: location.latitude, longitude: location.longitude };
+    }
+  };
+
+  /**
+   * Drop the current route so it is refetched for the new trip parameters
+   */
+  const invalidateRoute = () => {
+    setRouteCoordinates([]);
+    setRouteInfo(null);
+    setRouteProgress(null);
+    setRouteAlternatives([]);
+    setSelectedRouteIndex(0);
+    setRouteError(null);
+    // Set loading to true immediately so the modal shows the calculating state
+    setIsLoadingRoute(true);
+  };
+
+  /**
+   * Calculate the route again after a failure
+   */
+  const retryRoute = () => {
+    console.log('🔁 [Context] Retrying route');
+    setRouteError(null);
+    setIsLoadingRoute(true);
+    setRouteRetryCount((count) => count + 1);
   };
 
   /**
    * Set a new destination and clear previous route
+   * Replaces any existing stops with this single destination.
    * @param {Object} dest - Destination object with latitude and longitude
    */
   const updateDestination = (dest) => {
     console.log('🎯 [Context] New destination:', dest.name);
-    setDestination(dest);
-    // Clear previous route when new destination is set
-    setRouteCoordinates([]);
-    setRouteInfo(null);
-    // Set loading to true immediately when new destination is selected
-    setIsLoadingRoute(true);
+    setStops([dest]);
+    setCurrentStopIndex(0);
+    setIsAddingStop(false);
+    setArrival(null);
+    invalidateRoute();
+  };
+
+  /**
+   * Insert a stop before the final destination
+   * @param {Object} stop - Stop object with latitude and longitude
+   */
+  const addStop = (stop) => {
+    console.log('🎯 [Context] Stop added:', stop.name);
+    setStops((prev) => {
+      if (prev.length === 0) return [stop];
+      return [...prev.slice(0, -1), stop, prev[prev.length - 1]];
+    });
+    setIsAddingStop(false);
+    invalidateRoute();
+  };
+
+  /**
+   * Remove a stop; removing the only stop clears the trip
+   * @param {number} index - Index into stops
+   */
+  const removeStop = (index) => {
+    if (stops.length <= 1) {
+      clearDestination();
+      return;
+    }
+    console.log('🧹 [Context] Stop removed:', index);
+    setStops((prev) => prev.filter((_, i) => i !== index));
+    invalidateRoute();
+  };
+
+  /**
+   * Move a stop to a new position in the list
+   * @param {number} from - Current index
+   * @param {number} to - Target index
+   */
+  const moveStop = (from, to) => {
+    if (to < 0 || to >= stops.length || from === to) return;
+    console.log('🎯 [Context] Stop moved:', from, '->', to);
+    setStops((prev) => {
+      const next = prev.slice();
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+    invalidateRoute();
+  };
+
+  /**
+   * Route a chosen place to the trip: appended as a stop while the user is
+   * adding stops, otherwise it becomes the new destination
+   * @param {Object} place - Place object with latitude and longitude
+   */
+  const selectPlace = (place) => {
+    if (isAddingStop && stops.length > 0) addStop(place);
+    else updateDestination(place);
+  };
+
+  /**
+   * Mark the next stop as reached and move on to the following leg
+   */
+  const advanceStop = () => {
+    setCurrentStopIndex((prev) => {
+      const next = Math.min(prev + 1, Math.max(stops.length - 1, 0));
+      console.log('🎯 [Context] Stop reached, next stop:', next + 1, 'of', stops.length);
+      return next;
+    });
   };
 
   /**
@@ -71,9 +240,10 @@ export const LocationProvider = ({ children }) => {
    * @param {Object} updates - partial destination fields to merge
    */
   const setDestinationMeta = (updates) => {
-    setDestination((prev) => {
-      if (!prev) return { ...updates };
-      return { ...prev, ...updates };
+    setStops((prev) => {
+      if (prev.length === 0) return [{ ...updates }];
+      const last = prev[prev.length - 1];
+      return [...prev.slice(0, -1), { ...last, ...updates }];
     });
   };
 
@@ -82,53 +252,239 @@ export const LocationProvider = ({ children }) => {
    */
   const clearDestination = () => {
     console.log('🧹 [Context] Clearing destination');
-    setDestination(null);
+    setStops([]);
+    setCurrentStopIndex(0);
+    setIsAddingStop(false);
     setRouteCoordinates([]);
     setRouteInfo(null);
+    setRouteProgress(null);
+    setRouteAlternatives([]);
+    setSelectedRouteIndex(0);
     setIsJourneyActive(false);
+    setIsRerouting(false);
+    setRouteError(null);
+    setTripPlan(DEFAULT_TRIP_PLAN);
+  };
+
+  /**
+   * Change the travel mode and invalidate the current route so it is refetched
+   * @param {string} mode - One of the keys in TRAVEL_MODES
+   */
+  const setTravelMode = (mode) => {
+    if (!TRAVEL_MODES[mode] || mode === travelMode) return;
+    console.log('🎯 [Context] Travel mode:', mode);
+    setTravelModeState(mode);
+    if (destination) invalidateRoute();
+  };
+
+  /**
+   * Turn avoidance of a road feature on or off and refetch the route for it
+   * @param {string} key - One of the keys in ROUTE_AVOIDANCES
+   */
+  const toggleAvoidance = (key) => {
+    if (!ROUTE_AVOIDANCES[key]) return;
+    const next = {
+      ...routePreferences,
+      avoid: { ...routePreferences.avoid, [key]: !routePreferences.avoid[key] },
+    };
+    console.log('⚙️ [Context] Avoid', key + ':', next.avoid[key]);
+    setRoutePreferences(next);
+    saveRoutePreferences(next);
+    if (destination && !isJourneyActive) invalidateRoute();
+  };
+
+  /**
+   * Plan the trip from a place other than the current location
+   * @param {Object|null} place - Origin with latitude and longitude, or null for the live position
+   */
+  const setPlanOrigin = (place) => {
+    console.log('📅 [Context] Plan origin:', place ? place.name || 'custom' : 'current location');
+    setTripPlan((plan) => ({ ...plan, origin: place }));
+    if (destination) invalidateRoute();
+  };
+
+  /**
+   * Plan the trip to depart at, or arrive by, a given time
+   * @param {string} timeMode - 'now', 'depart' or 'arrive'
+   * @param {number|null} time - ms timestamp (ignored for 'now')
+   */
+  const setPlanTime = (timeMode, time = null) => {
+    if (!TRIP_TIME_MODES.includes(timeMode)) return;
+    console.log('📅 [Context] Plan time:', timeMode, time ? new Date(time).toISOString() : '');
+    setTripPlan((plan) => ({ ...plan, timeMode, time: timeMode === 'now' ? null : time }));
+    if (destination) invalidateRoute();
+  };
+
+  /**
+   * Go back to routing from the current location, leaving now
+   */
+  const clearTripPlan = () => {
+    if (!isPlannedTrip(tripPlan)) return;
+    console.log('📅 [Context] Trip plan cleared');
+    setTripPlan(DEFAULT_TRIP_PLAN);
+    if (destination) invalidateRoute();
   };
 
   /**
    * Start the journey/navigation
    */
   const startJourney = () => {
+    // Navigation follows the live position; a planned route has to be recalculated for now first
+    if (isPlannedTrip(tripPlan)) {
+      console.warn('⚠️ [Context] Cannot start a planned trip; clear the plan first');
+      return;
+    }
     console.log('🚀 [Context] Journey started');
+    journeyStartedAtRef.current = Date.now();
+    journeyDistanceRef.current = 0;
+    lastJourneyFixRef.current = currentLocation
+      ? { latitude: currentLocation.latitude, longitude: currentLocation.longitude }
+      : null;
+    setArrival(null);
+    setCurrentStopIndex(0);
+    setCurrentStepIndex(0);
+    setRouteProgress(null);
+    setIsAddingStop(false);
     setIsJourneyActive(true);
   };
 
+  /**
+   * End the journey because the destination was reached
+   * Clears the trip and keeps a summary for the arrival card.
+   */
+  const completeJourney = () => {
+    if (!isJourneyActive) return;
+    const startedAt = journeyStartedAtRef.current || Date.now();
+    const summary = {
+      destination,
+      durationMin: (Date.now() - startedAt) / 60000,
+      distanceKm: journeyDistanceRef.current,
+      arrivedAt: Date.now(),
+    };
+    console.log('🏁 [Context] Arrived:', destination?.name, summary.distanceKm.toFixed(2) + 'km,', summary.durationMin.toFixed(0) + 'min');
+    setArrival(summary);
+    clearDestination();
+  };
+
+  /**
+   * Mute or unmute spoken guidance
+   */
+  const toggleVoiceMuted = () => {
+    setIsVoiceMuted((prev) => {
+      console.log('🔊 [Context] Voice guidance', prev ? 'unmuted' : 'muted');
+      return !prev;
+    });
+  };
+
+  /**
+   * Dismiss the arrival card
+   */
+  const dismissArrival = () => {
+    setArrival(null);
+  };
+
   /**
    * Stop the journey/navigation
    */
   const stopJourney = () => {
     console.log('🛑 [Context] Journey stopped');
     setIsJourneyActive(false);
+    setIsRerouting(false);
+    setRouteProgress(null);
   };
 
   /**
    * Update route information
-   * @param {Object} info - Route information (distance, duration, steps)
+   * @param {Object} info - Route information (distance, duration, legs, steps)
    * @param {Array} coordinates - Array of coordinate objects for the route
    */
   const updateRoute = (info, coordinates) => {
     console.log('🗺️ [Context] Route updated:', info.distance.toFixed(1) + 'km,', info.duration.toFixed(0) + 'min');
     setRouteInfo(info);
     setRouteCoordinates(coordinates);
+    setCurrentStepIndex(0);
+    setRouteProgress(null);
+    setRouteError(null);
+  };
+
+  /**
+   * Store all candidate routes and make one of them the active route
+   * @param {Array} alternatives - Array of { info, coordinates } candidate routes
+   * @param {number} selectedIndex - Index of the route to activate (default: 0)
+   */
+  const updateRouteAlternatives = (alternatives, selectedIndex = 0) => {
+    if (!alternatives || alternatives.length === 0) return;
+    const index = Math.min(Math.max(selectedIndex, 0), alternatives.length - 1);
+    console.log('🗺️ [Context] Route alternatives:', alternatives.length, 'selected:', index);
+    setRouteAlternatives(alternatives);
+    setSelectedRouteIndex(index);
+    updateRoute(alternatives[index].info, alternatives[index].coordinates);
+  };
+
+  /**
+   * Switch the active route to one of the stored alternatives
+   * @param {number} index - Index into routeAlternatives
+   */
+  const selectRoute = (index) => {
+    const alternative = routeAlternatives[index];
+    if (!alternative) return;
+    console.log('🎯 [Context] Route selected:', index, alternative.info.summary || '');
+    setSelectedRouteIndex(index);
+    updateRoute(alternative.info, alternative.coordinates);
   };
 
   const value = {
     currentLocation,
+    locationQuality,
     destination,
+    stops,
+    currentStopIndex,
+    isAddingStop,
     routeInfo,
     routeCoordinates,
+    currentStepIndex,
+    routeProgress,
+    routeAlternatives,
+    selectedRouteIndex,
     isLoadingRoute,
+    routeError,
+    routeRetryCount,
     isJourneyActive,
+    isRerouting,
+    travelMode,
+    routePreferences,
+    tripPlan,
+    arrival,
+    isVoiceMuted,
     updateCurrentLocation,
+    setLocationQuality,
     updateDestination,
+    addStop,
+    removeStop,
+    moveStop,
+    selectPlace,
+    advanceStop,
+    setIsAddingStop,
     clearDestination,
     updateRoute,
+    updateRouteAlternatives,
+    selectRoute,
     setIsLoadingRoute,
+    setRouteError,
+    retryRoute,
+    setIsRerouting,
+    setCurrentStepIndex,
+    setRouteProgress,
+    setTravelMode,
+    toggleAvoidance,
+    setPlanOrigin,
+    setPlanTime,
+    clearTripPlan,
     startJourney,
     stopJourney,
+    completeJourney,
+    dismissArrival,
+    toggleVoiceMuted,
     setDestinationMeta,
   };
 
@@ -1,119 +1,332 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
 import * as Location from 'expo-location';
+import { on } from '../utils/eventBus';
+import {
+  BACKGROUND_LOCATION_EVENT,
+  requestBackgroundPermission,
+  startBackgroundTracking,
+  stopBackgroundTracking,
+} from '../utils/backgroundLocation';
+import { createLocationFilter, normalizeFix } from '../utils/locationFilter';
+import { createHeadingFusion } from '../utils/headingFusion';
+import { selectLocationProfile, shouldWatchCompass } from '../config/locationProfiles';
+import { getLocationSource, LOCATION_SOURCE_EVENT } from '../utils/locationSources';
+import { APPROXIMATE_ACCURACY_M, checkLocationAccess, enableLocationServices } from '../utils/locationPermission';
+
+// Without an accepted fix for this long, the signal counts as lost
+const SIGNAL_LOST_MS = 20000;
+// Last known positions older than this aren't worth showing at startup
+const LAST_KNOWN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Statuses in which location access is allowed (see utils/locationPermission)
+const TRACKING_STATUSES = ['acquiring', 'approximate', 'ready'];
 
 /**
  * Custom hook for tracking user's real-time location
- * Handles permission requests and provides location updates
+ * Tracks location access as an explicit status (see utils/locationPermission) and
+ * provides location updates once it is allowed
+ * Every fix goes through the location filter, so the position is smoothed and
+ * keeps accuracy, speed, course (GPS direction of travel) and timestamp.
+ * How often the GPS is polled follows a location profile (config/locationProfiles)
+ * picked from the journey state, travel mode and speed; the compass only runs
+ * while the profile needs it (for driving, only when stopped or slow). The heading blends
+ * compass and GPS course (utils/headingFusion).
+ * Fixes come from the active location source (utils/locationSources): the device
+ * GPS, or a replayed trace / simulated drive picked in the developer menu.
  * 
+ * @param {Object} [options]
+ * @param {boolean} [options.isJourneyActive] - Navigating (also enables background tracking)
+ * @param {boolean} [options.hasDestination] - A route is being previewed
+ * @param {string} [options.travelMode] - Travel mode key
  * @returns {Object} Location state and utilities
- * @returns {Object|null} location - Current location coordinates
- * @returns {string|null} errorMsg - Error message if permission denied or location unavailable
- * @returns {boolean} loading - Whether location is being fetched
- * @returns {Function} refreshLocation - Manually refresh location
+ * @returns {Object|null} location - Filtered position ({ latitude, longitude, accuracy, speed, course, timestamp });
+ *   at startup it can be the device's last known position, marked `lastKnown: true`, until a fresh fix arrives
+ * @returns {string} quality - GPS signal quality: 'good', 'fair', 'poor' or 'lost'
+ * @returns {number|null} heading - Fused heading: GPS course when moving, compass otherwise (null until known)
+ * @returns {string|null} headingSource - 'course' or 'compass'
+ * @returns {string} status - Location access status ('checking', 'undetermined', 'denied', 'blocked',
+ *   'servicesDisabled', 'acquiring', 'approximate' or 'ready')
+ * @returns {Function} refreshLocation - Ask for access again if needed and fetch a fresh position
+ * @returns {Function} enableServices - Ask for location services to be switched on
+ * @returns {string} backgroundStatus - 'off', 'active', 'denied' or 'error'
+ * @returns {string} profile - Key of the location profile in use
+ * @returns {string} sourceName - Active location source: 'device', 'trace' or 'route'
  */
-const useUserLocation = () => {
+const useUserLocation = ({ isJourneyActive = false, hasDestination = false, travelMode } = {}) => {
   const [location, setLocation] = useState(null);
-  const [heading, setHeading] = useState(null);
-  const [errorMsg, setErrorMsg] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [compassHeading, setCompassHeading] = useState(null);
+  const [fusedHeading, setFusedHeading] = useState({ heading: null, source: null });
+  const headingFusionRef = useRef(null);
+  if (!headingFusionRef.current) headingFusionRef.current = createHeadingFusion();
+  const [status, setStatus] = useState('checking');
+  const [permissionGranted, setPermissionGranted] = useState(false);
+  const [backgroundStatus, setBackgroundStatus] = useState('off');
+  const [quality, setQuality] = useState('fair');
+  // One filter for both fix sources; it also drops fixes that arrive twice or out of order
+  const filterRef = useRef(null);
+  if (!filterRef.current) filterRef.current = createLocationFilter();
+  const lostTimerRef = useRef(null);
+  const [source, setSource] = useState(getLocationSource);
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+  // Approximate-only access: from the permission (Android), or judged from the fixes until a precise one arrives (iOS)
+  const approximatePermissionRef = useRef(null);
+  const approximateRef = useRef(false);
+  const judgeApproximateRef = useRef(true);
 
-  useEffect(() => {
-    let locationSubscription = null;
+  const profileKeyRef = useRef(null);
+  const profile = selectLocationProfile({
+    isJourneyActive,
+    hasDestination,
+    travelMode,
+    speedMps: location?.speed ?? null,
+    currentKey: profileKeyRef.current,
+  });
+  profileKeyRef.current = profile.key;
+  const signalLostMsRef = useRef(SIGNAL_LOST_MS);
+  // Slow profiles legitimately go quiet for longer
+  signalLostMsRef.current = Math.max(SIGNAL_LOST_MS, profile.timeInterval * 3);
 
-    const startLocationTracking = async () => {
-      try {
-        // Request location permissions
-        const { status } = await Location.requestForegroundPermissionsAsync();
-        
-        if (status !== 'granted') {
-          setErrorMsg('Location permission denied. Please enable location access in settings.');
-          setLoading(false);
-          return;
-        }
+  /**
+   * Keep the filter in step with approximate-only access
+   * @param {Object} fix - Normalized fix
+   */
+  const updateApproximate = (fix) => {
+    let approximate = approximatePermissionRef.current;
+    if (approximate === null) {
+      approximate = judgeApproximateRef.current && fix.accuracy !== null && fix.accuracy >= APPROXIMATE_ACCURACY_M;
+      if (!approximate && fix.accuracy !== null) judgeApproximateRef.current = false;
+    }
+    if (approximate === approximateRef.current) return;
+    approximateRef.current = approximate;
+    // Approximate fixes are all far less accurate than the filter normally accepts
+    filterRef.current = createLocationFilter(approximate ? { maxAccuracyM: Infinity } : undefined);
+  };
 
-        // Get initial location
-        const currentLocation = await Location.getCurrentPositionAsync({
-          accuracy: Location.Accuracy.High,
-        });
-
-        setLocation({
-          latitude: currentLocation.coords.latitude,
-          longitude: currentLocation.coords.longitude,
-          latitudeDelta: 0.01,
-          longitudeDelta: 0.01,
-        });
-
-        // Start watching position for real-time updates
-        locationSubscription = await Location.watchPositionAsync(
-          {
-            accuracy: Location.Accuracy.High,
-            distanceInterval: 10, // Update every 10 meters
-            timeInterval: 5000, // Update every 5 seconds
-          },
-          (newLocation) => {
-            setLocation({
-              latitude: newLocation.coords.latitude,
-              longitude: newLocation.coords.longitude,
-              latitudeDelta: 0.01,
-              longitudeDelta: 0.01,
-            });
-          }
-        );
-
-        // Subscribe to device heading (if supported)
-        try {
-          const headingSub = await Location.watchHeadingAsync((h) => {
-            const deg = (h && (h.trueHeading || h.magHeading || h.heading)) || null;
-            setHeading(deg);
-          });
-          // attach to subscription for cleanup
-          if (locationSubscription) locationSubscription._headingSub = headingSub;
-        } catch (e) {
-          // ignore if heading not supported
-        }
+  /**
+   * Use a location fix from either the foreground watch or the background task
+   * @param {Object} raw - expo-location fix ({ coords, timestamp })
+   */
+  const applyFix = (raw) => {
+    const fix = normalizeFix(raw);
+    updateApproximate(fix);
+    const result = filterRef.current.process(fix);
+    if (result.rejected === 'stale') return;
+    if (result.rejected) console.log('📡 [useUserLocation] Fix rejected:', result.rejected);
+    setQuality(result.quality);
+    if (!result.fix) return;
 
-        setLoading(false);
-      } catch (error) {
-        setErrorMsg('Error fetching location: ' + error.message);
-        setLoading(false);
+    clearTimeout(lostTimerRef.current);
+    lostTimerRef.current = setTimeout(() => setQuality('lost'), signalLostMsRef.current);
+    setStatus((current) => (TRACKING_STATUSES.includes(current) ? (approximateRef.current ? 'approximate' : 'ready') : current));
+    setLocation({
+      ...result.fix,
+      latitudeDelta: 0.01,
+      longitudeDelta: 0.01,
+    });
+  };
+
+  /**
+   * Show the device's last known position while the GPS gets a fresh fix
+   * It bypasses the filter, so the first fresh fix starts a clean estimate.
+   */
+  const showLastKnownPosition = async () => {
+    if (sourceRef.current.simulated) return;
+    try {
+      const raw = await Location.getLastKnownPositionAsync({ maxAge: LAST_KNOWN_MAX_AGE_MS });
+      if (!raw) return;
+      console.log('📍 [useUserLocation] Starting from last known position');
+      // Speed and course may be hours old
+      const lastKnown = { ...normalizeFix(raw), speed: null, course: null, lastKnown: true };
+      setLocation((current) => current || { ...lastKnown, latitudeDelta: 0.01, longitudeDelta: 0.01 });
+    } catch (error) {
+      console.warn('⚠️ [useUserLocation] No last known position:', error.message);
+    }
+  };
+
+  /**
+   * Work out location access and, when allowed, start tracking and fetch a position
+   * @param {Object} [options]
+   * @param {boolean} [options.request] - Show the permission dialog if it can still be shown
+   */
+  const checkAccess = async ({ request = false } = {}) => {
+    try {
+      const { access, approximate } = await checkLocationAccess({ request });
+      if (access !== 'granted') {
+        console.log('📍 [useUserLocation] Location access:', access);
+        setStatus(access);
+        setPermissionGranted(false);
+        return;
       }
-    };
 
-    startLocationTracking();
+      approximatePermissionRef.current = approximate;
+      judgeApproximateRef.current = true;
+      // Resolved before leaving 'checking', so the map can open on it
+      await showLastKnownPosition();
+      setStatus((current) => (TRACKING_STATUSES.includes(current) ? current : 'acquiring'));
+      setPermissionGranted(true);
+
+      const currentLocation = await sourceRef.current.getCurrentPosition({
+        accuracy: Location.Accuracy.High,
+      });
+      applyFix(currentLocation);
+    } catch (error) {
+      // The watch may still deliver a position; only a failed first check needs a way out (retry)
+      console.warn('⚠️ [useUserLocation] Could not get a position:', error.message);
+      setStatus((current) => (current === 'checking' ? 'denied' : current));
+    }
+  };
+
+  // Check access and get a first position; check again whenever the app returns from the
+  // background, since permissions and location services are changed in the Settings app
+  useEffect(() => {
+    checkAccess().then(() => {
+      // A journey never survives a restart; drop a background task one left running
+      stopBackgroundTracking().catch((e) => console.warn('⚠️ [useUserLocation] Could not stop stale background task', e?.message || e));
+    });
+
+    let appState = AppState.currentState;
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (appState === 'background' && nextState === 'active') checkAccess();
+      appState = nextState;
+    });
+
+    // Switching sources starts a fresh estimate; the new fixes have nothing to do with the old ones
+    const offSource = on(LOCATION_SOURCE_EVENT, (nextSource) => {
+      filterRef.current.reset();
+      setSource(nextSource);
+    });
 
-    // Cleanup subscription on unmount
     return () => {
-      if (locationSubscription) {
-        try { locationSubscription.remove(); } catch (e) {}
-        try { if (locationSubscription._headingSub && typeof locationSubscription._headingSub.remove === 'function') locationSubscription._headingSub.remove(); } catch (e) {}
-      }
+      clearTimeout(lostTimerRef.current);
+      appStateSubscription.remove();
+      offSource();
     };
   }, []);
 
-  /**
-   * Manually refresh the current location
-   */
-  const refreshLocation = async () => {
-    try {
-      setLoading(true);
-      const currentLocation = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.High,
+  // Watch position with the current profile's settings; restarts when the profile changes
+  useEffect(() => {
+    if (!permissionGranted) return undefined;
+
+    let subscription = null;
+    let cancelled = false;
+    console.log('📡 [useUserLocation] Location profile:', profile.key, 'source:', source.name);
+
+    source.watchPosition(
+      {
+        accuracy: Location.Accuracy[profile.accuracy],
+        distanceInterval: profile.distanceInterval,
+        timeInterval: profile.timeInterval,
+      },
+      applyFix
+    )
+      .then((sub) => {
+        if (cancelled) sub.remove();
+        else subscription = sub;
+      })
+      .catch((error) => {
+        console.error('❌ [useUserLocation] Could not watch position:', error.message);
       });
 
-      setLocation({
-        latitude: currentLocation.coords.latitude,
-        longitude: currentLocation.coords.longitude,
-        latitudeDelta: 0.01,
-        longitudeDelta: 0.01,
+    return () => {
+      cancelled = true;
+      if (subscription) subscription.remove();
+    };
+  }, [permissionGranted, profile.key, source]);
+
+  // Compass heading, only while the profile uses it (for driving, only while stopped or crawling)
+  const compassWatchedRef = useRef(false);
+  const watchCompass = shouldWatchCompass(profile, location?.speed ?? null, compassWatchedRef.current);
+  compassWatchedRef.current = watchCompass;
+  useEffect(() => {
+    if (!permissionGranted || !watchCompass) return undefined;
+
+    let subscription = null;
+    let cancelled = false;
+
+    Location.watchHeadingAsync((h) => {
+      // trueHeading is -1 when the device can't work it out
+      const deg = h && (h.trueHeading >= 0 ? h.trueHeading : h.magHeading);
+      setCompassHeading(typeof deg === 'number' && deg >= 0 ? { heading: deg, at: Date.now() } : null);
+    })
+      .then((sub) => {
+        if (cancelled) sub.remove();
+        else subscription = sub;
+      })
+      .catch(() => {
+        // ignore if heading not supported
       });
-      setLoading(false);
-    } catch (error) {
-      setErrorMsg('Error refreshing location: ' + error.message);
-      setLoading(false);
+
+    return () => {
+      cancelled = true;
+      if (subscription) subscription.remove();
+      setCompassHeading(null);
+    };
+  }, [permissionGranted, watchCompass]);
+
+  // Fuse compass and GPS course whenever either changes
+  useEffect(() => {
+    const next = headingFusionRef.current.update({
+      compass: compassHeading?.heading ?? null,
+      compassAt: compassHeading?.at,
+      course: location?.course ?? null,
+      speed: location?.speed ?? null,
+    });
+    setFusedHeading((current) => (current.heading === next.heading && current.source === next.source ? current : next));
+  }, [compassHeading, location]);
+
+  // Keep fixes coming while the app is in the background, only during a journey
+  useEffect(() => {
+    if (!isJourneyActive) {
+      setBackgroundStatus('off');
+      return undefined;
     }
+
+    let cancelled = false;
+    // Background fixes go through the same path as foreground ones (real GPS only)
+    const offLocations = on(BACKGROUND_LOCATION_EVENT, (locations) => {
+      if (!sourceRef.current.simulated) locations.forEach(applyFix);
+    });
+
+    (async () => {
+      try {
+        const granted = await requestBackgroundPermission();
+        if (cancelled) return;
+        if (!granted) {
+          console.warn('⚠️ [useUserLocation] Background location denied; tracking pauses in the background');
+          setBackgroundStatus('denied');
+          return;
+        }
+        await startBackgroundTracking(travelMode);
+        // The journey ended or the mode changed while starting; the cleanup's stop runs after this start
+        if (cancelled) return;
+        setBackgroundStatus('active');
+      } catch (error) {
+        console.error('❌ [useUserLocation] Background tracking failed:', error.message);
+        if (!cancelled) setBackgroundStatus('error');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      offLocations();
+      stopBackgroundTracking().catch((e) => console.warn('⚠️ [useUserLocation] Could not stop background tracking', e?.message || e));
+    };
+  }, [isJourneyActive, travelMode]);
+
+  /**
+   * Retry: check access again (showing the permission dialog when it can be shown) and fetch a position
+   */
+  const refreshLocation = () => checkAccess({ request: true });
+
+  /**
+   * Ask for location services to be switched on, then retry
+   */
+  const enableServices = async () => {
+    if (await enableLocationServices()) await checkAccess();
   };
 
-  return { location, errorMsg, loading, refreshLocation, heading };
+  return { location, status, refreshLocation, enableServices, heading: fusedHeading.heading, headingSource: fusedHeading.source, backgroundStatus, quality, profile: profile.key, sourceName: source.name };
 };
 
 export default useUserLocation;
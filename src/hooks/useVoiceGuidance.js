@@ -0,0 +1,78 @@
+import { useEffect, useRef } from 'react';
+import { useLocation } from '../context/LocationContext';
+import { distanceToStepEnd } from '../utils/mapHelpers';
+import { getTravelModeConfig } from '../config/travelModes';
+import {
+  getDueAnnouncement,
+  markAnnounced,
+  buildRerouteAnnouncement,
+  buildArrivalAnnouncement,
+} from '../utils/voiceGuidance';
+import { speak, stopSpeaking } from '../utils/speech';
+
+/**
+ * Custom hook that speaks turn-by-turn guidance during an active journey
+ * Feeds position along the route into the voice guidance scheduler and hands
+ * due announcements to the speech engine. Announces reroutes and arrival too.
+ */
+const useVoiceGuidance = () => {
+  const {
+    isJourneyActive,
+    isRerouting,
+    isVoiceMuted,
+    routeInfo,
+    currentStepIndex,
+    currentLocation,
+    travelMode,
+    arrival,
+  } = useLocation();
+
+  const announcedRef = useRef({});
+
+  // A new route (initial, reroute or selected alternative) starts with a clean slate
+  useEffect(() => {
+    announcedRef.current = {};
+  }, [routeInfo]);
+
+  // Stop talking as soon as the user mutes or the journey ends
+  useEffect(() => {
+    if (isVoiceMuted || !isJourneyActive) stopSpeaking();
+  }, [isVoiceMuted, isJourneyActive]);
+
+  // Maneuver announcements on each location fix
+  useEffect(() => {
+    if (!isJourneyActive || isVoiceMuted || isRerouting || !routeInfo?.steps?.length) return;
+
+    const distanceKm = distanceToStepEnd(currentLocation, routeInfo.steps[currentStepIndex]);
+    if (distanceKm === null) return;
+
+    const announcement = getDueAnnouncement({
+      steps: routeInfo.steps,
+      currentStepIndex,
+      distanceToManeuverM: distanceKm * 1000,
+      announced: announcedRef.current,
+      thresholdsM: getTravelModeConfig(travelMode).guidanceThresholdsM,
+    });
+    if (!announcement) return;
+
+    console.log('🔊 [VoiceGuidance]', announcement.text);
+    announcedRef.current = markAnnounced(announcedRef.current, announcement);
+    speak(announcement.text);
+  }, [currentLocation?.latitude, currentLocation?.longitude, currentStepIndex, routeInfo, isJourneyActive, isVoiceMuted, isRerouting, travelMode]);
+
+  // Reroute announcement
+  useEffect(() => {
+    if (isRerouting && isJourneyActive && !isVoiceMuted) {
+      speak(buildRerouteAnnouncement());
+    }
+  }, [isRerouting]);
+
+  // Arrival announcement
+  useEffect(() => {
+    if (arrival && !isVoiceMuted) {
+      speak(buildArrivalAnnouncement(arrival.destination?.name));
+    }
+  }, [arrival]);
+};
+
+export default useVoiceGuidance;
@@ -1,16 +1,23 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { View, StyleSheet, Text, Alert } from 'react-native';
+import { View, StyleSheet, Text, Alert, TouchableOpacity } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import MapViewContainer from '../components/MapViewContainer';
 import DestinationSearchBar from '../components/DestinationSearchBar';
+import OriginSearchField from '../components/OriginSearchField';
 import RouteDirections from '../components/RouteDirections';
 import LocationDetailsModal from '../components/LocationDetailsModal';
 import ActiveJourneyBar from '../components/ActiveJourneyBar';
+import ArrivalCard from '../components/ArrivalCard';
 import NamePlaceModal from '../components/NamePlaceModal';
 import SearchHistoryModal from '../components/SearchHistoryModal';
+import DeveloperMenu from '../components/DeveloperMenu';
+import LocationOnboarding from '../components/LocationOnboarding';
+import LocationStatusBanner from '../components/LocationStatusBanner';
 import useUserLocation from '../hooks/useUserLocation';
+import useVoiceGuidance from '../hooks/useVoiceGuidance';
 import { useLocation } from '../context/LocationContext';
-import { saveSearchEntry } from '../utils/storage';
+import { saveSearchEntry, loadMapViewport, loadBackgroundNoticeShown, saveBackgroundNoticeShown } from '../utils/storage';
+import { openLocationSettings } from '../utils/locationPermission';
 import { Dimensions } from 'react-native';
 import { GOOGLE_MAPS_API_KEY } from '@env';
 
@@ -18,27 +25,69 @@ import { GOOGLE_MAPS_API_KEY } from '@env';
  * HomeScreen Component
  * Main screen of the app that integrates all components
  * Handles user location tracking, destination selection, and route display
+ * Without location access the map stays usable: routes are planned from a chosen origin.
+ * Startup doesn't wait for a GPS fix: the map opens on the last known position or the
+ * last saved viewport as soon as location access is known.
+ *
+ * @param {Object} props
+ * @param {Function} [props.onReady] - Called once the first screen can be shown (the splash can go)
  */
-const HomeScreen = () => {
-  const { location, heading, errorMsg, loading } = useUserLocation();
+const HomeScreen = ({ onReady }) => {
   const { 
     updateCurrentLocation, 
-    updateDestination, 
+    setLocationQuality,
+    selectPlace,
     destination, 
+    isAddingStop,
+    setIsAddingStop,
     startJourney, 
     stopJourney,
     clearDestination,
-    isJourneyActive 
+    isJourneyActive,
+    travelMode,
+    tripPlan,
   } = useLocation();
+  // Tracking effort follows what the user is doing; it continues in the background only while navigating
+  const {
+    location,
+    heading,
+    status: locationStatus,
+    refreshLocation,
+    enableServices,
+    backgroundStatus,
+    quality,
+    sourceName,
+  } = useUserLocation({
+    isJourneyActive,
+    hasDestination: !!destination,
+    travelMode,
+  });
   
   const [showFullModal, setShowFullModal] = useState(false);
   const [showNameModal, setShowNameModal] = useState(false);
   const [pendingCoords, setPendingCoords] = useState(null);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showDevMenu, setShowDevMenu] = useState(false);
+  // "Not now" on the location explanation; the app continues without location
+  const [skippedOnboarding, setSkippedOnboarding] = useState(false);
+  // Map region from the previous session (undefined while loading, null when there is none)
+  const [savedViewport, setSavedViewport] = useState(undefined);
+  const isStarting = locationStatus === 'checking' || savedViewport === undefined;
+
+  // Spoken turn-by-turn guidance while a journey is active
+  useVoiceGuidance();
 
   // history modal is opened via a button on the search bar now
 
+  useEffect(() => {
+    loadMapViewport().then((viewport) => setSavedViewport(viewport || null));
+  }, []);
+
+  useEffect(() => {
+    if (!isStarting && onReady) onReady();
+  }, [isStarting]);
+
   // Update global location state when user location changes
   useEffect(() => {
     if (location) {
@@ -46,17 +95,43 @@ const HomeScreen = () => {
     }
   }, [location]);
 
-  // Show error if location permission denied or unavailable
   useEffect(() => {
-    if (errorMsg) {
-      Alert.alert('Location Error', errorMsg, [
-        {
-          text: 'OK',
-          onPress: () => console.log('Location error acknowledged'),
-        },
-      ]);
-    }
-  }, [errorMsg]);
+    setLocationQuality(quality);
+  }, [quality]);
+
+  // Navigation still works without background access, but pauses when the app is backgrounded.
+  // Explain that once; after that the "Background location off" pill is the reminder.
+  useEffect(() => {
+    if (backgroundStatus !== 'denied') return undefined;
+    let cancelled = false;
+    (async () => {
+      const shown = await loadBackgroundNoticeShown();
+      if (cancelled || shown) return;
+      await saveBackgroundNoticeShown();
+      Alert.alert(
+        'Background Location Off',
+        'Guidance and rerouting pause while RouteMe is in the background or the screen is locked. Allow location access "Always" to keep them running.',
+        [
+          { text: 'Not Now', style: 'cancel' },
+          { text: 'Open Settings', onPress: openLocationSettings },
+        ]
+      );
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [backgroundStatus]);
+
+  /**
+   * Handle the location status banner's action
+   * @param {string} status - Location status the banner is showing
+   */
+  const handleLocationAction = (status) => {
+    console.log('📍 [HomeScreen] Location action for status:', status);
+    if (status === 'blocked' || status === 'approximate') openLocationSettings();
+    else if (status === 'servicesDisabled') enableServices();
+    else refreshLocation();
+  };
 
   /**
    * Handle map press to set destination
@@ -84,7 +159,7 @@ const HomeScreen = () => {
       return;
     }
 
-    updateDestination({
+    selectPlace({
       latitude: place.latitude,
       longitude: place.longitude,
       name: place.name,
@@ -92,7 +167,7 @@ const HomeScreen = () => {
       timestamp: Date.now(), // Add timestamp to force re-render even for same location
     });
 
-    console.log('🔍 [HomeScreen] updateDestination called, forcing details modal to show');
+    console.log('🔍 [HomeScreen] selectPlace called, forcing details modal to show');
 
     // Ensure details modal appears after selecting from search/history
     setShowDetailsModal(true);
@@ -153,13 +228,16 @@ const HomeScreen = () => {
   };
 
   // Memoize origin and destination objects to prevent unnecessary re-renders
+  // A planned origin replaces the live position for route calculation
+  const plannedOrigin = tripPlan.origin;
   const origin = useMemo(() => {
-    if (!location) return null;
+    const from = plannedOrigin || location;
+    if (!from) return null;
     return {
-      latitude: location.latitude,
-      longitude: location.longitude,
+      latitude: from.latitude,
+      longitude: from.longitude,
     };
-  }, [location?.latitude, location?.longitude]);
+  }, [plannedOrigin?.latitude, plannedOrigin?.longitude, location?.latitude, location?.longitude]);
 
   const dest = useMemo(() => {
     if (!destination) return null;
@@ -169,7 +247,7 @@ const HomeScreen = () => {
     };
   }, [destination?.latitude, destination?.longitude, destination?.timestamp]);
 
-  if (loading) {
+  if (isStarting) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.loadingText}>Getting your location...</Text>
@@ -178,22 +256,25 @@ const HomeScreen = () => {
     );
   }
 
-  if (errorMsg) {
+  // Explain location use before the system dialog appears
+  if (locationStatus === 'undetermined' && !skippedOnboarding) {
     return (
-      <View style={styles.errorContainer}>
-        <Text style={styles.errorText}>{errorMsg}</Text>
-        <Text style={styles.errorHint}>
-          Please enable location permissions in your device settings.
-        </Text>
+      <>
+        <LocationOnboarding onAllow={refreshLocation} onSkip={() => setSkippedOnboarding(true)} />
         <StatusBar style="auto" />
-      </View>
+      </>
     );
   }
 
   return (
     <View style={styles.container}>
       {/* Map View */}
-  <MapViewContainer userLocation={location ? { ...location, heading } : null} onMapPress={handleMapPress}>
+  <MapViewContainer
+        userLocation={location ? { ...location, heading } : null}
+        initialRegion={savedViewport}
+        onMapPress={handleMapPress}
+        onOpenDeveloperMenu={() => setShowDevMenu(true)}
+      >
         {/* Route Directions Overlay */}
         {origin && dest && <RouteDirections origin={origin} destination={dest} />}
       </MapViewContainer>
@@ -203,6 +284,25 @@ const HomeScreen = () => {
         <DestinationSearchBar onPlaceSelect={handlePlaceSelect} onOpenHistory={() => setShowHistoryModal(true)} />
       )}
 
+      {/* Trip origin - only while planning a trip */}
+      {destination && !isJourneyActive && !isAddingStop && <OriginSearchField />}
+
+      {/* Add-stop hint - the next search, history pick or map tap becomes a stop */}
+      {isAddingStop && !isJourneyActive && (
+        <View style={styles.addStopBanner}>
+          <Text style={styles.addStopText}>Search, pick from history or tap the map to add a stop</Text>
+          <TouchableOpacity onPress={() => setIsAddingStop(false)}>
+            <Text style={styles.addStopCancel}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Location status - why there is no (precise) position and how to fix it */}
+      {/* While a last known position is shown, the pill below says so instead */}
+      {!destination && !isJourneyActive && !(locationStatus === 'acquiring' && location) && (
+        <LocationStatusBanner status={locationStatus} onAction={handleLocationAction} />
+      )}
+
       {/* Location Details Modal - shown when destination exists or forced by selection */}
       <LocationDetailsModal
         onStartJourney={handleStartJourney}
@@ -229,12 +329,15 @@ const HomeScreen = () => {
         />
       )}
 
+      {/* Arrival summary - shown after the destination is reached */}
+      <ArrivalCard onNavigateElsewhere={() => setShowHistoryModal(true)} />
+
       <SearchHistoryModal
         visible={showHistoryModal}
         onClose={() => setShowHistoryModal(false)}
         onSelect={(entry) => {
           // entry: { latitude, longitude, name, address }
-          updateDestination({
+          selectPlace({
             latitude: entry.latitude,
             longitude: entry.longitude,
             name: entry.name,
@@ -258,7 +361,7 @@ const HomeScreen = () => {
         }}
         onSave={(entry) => {
           // entry: { latitude, longitude, name }
-          updateDestination({
+          selectPlace({
             latitude: entry.latitude,
             longitude: entry.longitude,
             name: entry.name,
@@ -296,6 +399,32 @@ const HomeScreen = () => {
         }}
       />
 
+      {/* Developer menu - location source switching, development builds only */}
+      {__DEV__ && <DeveloperMenu visible={showDevMenu} onClose={() => setShowDevMenu(false)} />}
+
+      <View style={styles.mapPills} pointerEvents="box-none">
+        {/* Last known position until the GPS has a fresh fix */}
+        {location?.lastKnown && (
+          <View style={[styles.mapPill, styles.approximatePill]}>
+            <Text style={styles.mapPillText}>Approximate location</Text>
+          </View>
+        )}
+
+        {/* Guidance pauses when the app is backgrounded; tap to allow "Always" */}
+        {isJourneyActive && backgroundStatus === 'denied' && (
+          <TouchableOpacity style={[styles.mapPill, styles.backgroundOffPill]} onPress={openLocationSettings}>
+            <Text style={styles.mapPillText}>Background location off</Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Reminder that the position on screen is not the real one */}
+        {sourceName !== 'device' && (
+          <TouchableOpacity style={[styles.mapPill, styles.simulatedPill]} onPress={() => setShowDevMenu(true)}>
+            <Text style={styles.mapPillText}>Simulated location</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
       <StatusBar style="auto" />
     </View>
   );
@@ -317,23 +446,57 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 20,
   },
-  errorContainer: {
-    flex: 1,
-    justifyContent: 'center',
+  addStopBanner: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 28,
+    flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#F5F5F5',
-    padding: 20,
+    backgroundColor: '#1F2937',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginRight: 68,
+    elevation: 8,
   },
-  errorText: {
-    fontSize: 18,
-    color: '#E74C3C',
-    textAlign: 'center',
-    marginBottom: 10,
+  addStopText: {
+    flex: 1,
+    color: '#FFFFFF',
+    fontSize: 14,
+    marginRight: 12,
   },
-  errorHint: {
+  addStopCancel: {
+    color: '#93C5FD',
     fontSize: 14,
-    color: '#999',
-    textAlign: 'center',
+    fontWeight: '600',
+  },
+  mapPills: {
+    position: 'absolute',
+    left: 16,
+    bottom: 156, // Level with the map buttons, clear of the top bars and bottom sheets
+    alignItems: 'flex-start',
+  },
+  mapPill: {
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    marginTop: 6,
+    elevation: 6,
+  },
+  approximatePill: {
+    backgroundColor: '#6B7280',
+  },
+  backgroundOffPill: {
+    backgroundColor: '#D97706',
+  },
+  simulatedPill: {
+    backgroundColor: '#8E44AD',
+  },
+  mapPillText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
   },
 });
 
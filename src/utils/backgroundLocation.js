@@ -0,0 +1,101 @@
+/**
+ * Background Location
+ * Keeps location fixes coming while the screen is locked or the app is in the
+ * background during a journey. The task is registered when this module loads
+ * (it is imported from App.js) and forwards every batch of fixes on the event bus.
+ */
+
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import { emit } from './eventBus';
+import { LOCATION_PROFILES } from '../config/locationProfiles';
+import { getTravelModeConfig } from '../config/travelModes';
+
+export const BACKGROUND_LOCATION_TASK = 'routeme-background-location';
+// Event carrying an array of expo-location fixes from the background task
+export const BACKGROUND_LOCATION_EVENT = 'backgroundLocations';
+
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, ({ data, error }) => {
+  if (error) {
+    console.warn('⚠️ [backgroundLocation] Task error:', error.message);
+    return;
+  }
+  const locations = data?.locations || [];
+  if (locations.length > 0) emit(BACKGROUND_LOCATION_EVENT, locations);
+});
+
+/**
+ * Ask for "always" location access, which background tracking needs
+ * The foreground permission has to be granted first.
+ * @returns {Promise<boolean>} Whether background access was granted
+ */
+export const requestBackgroundPermission = async () => {
+  const foreground = await Location.getForegroundPermissionsAsync();
+  if (foreground.status !== 'granted') return false;
+  const current = await Location.getBackgroundPermissionsAsync();
+  if (current.status === 'granted') return true;
+  if (!current.canAskAgain) return false;
+  const { status } = await Location.requestBackgroundPermissionsAsync();
+  return status === 'granted';
+};
+
+// Start/stop calls run one after another: a stop that is still finishing would
+// otherwise make the next start see the task as running and skip it
+let pendingChange = Promise.resolve();
+// Travel mode the running task was started for
+let runningMode = null;
+
+/**
+ * Queue a change to the background task behind the ones already pending
+ * @param {Function} change - Async function doing the change
+ * @returns {Promise} Settles when this change is done
+ */
+const queueChange = (change) => {
+  const result = pendingChange.then(change);
+  pendingChange = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Start the background location task, or restart it when it is running for another travel mode
+ * @param {string} travelMode - Travel mode key; picks the activity type iOS tunes updates for
+ */
+export const startBackgroundTracking = (travelMode) => queueChange(async () => {
+  if (await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK)) {
+    if (runningMode === travelMode) return;
+    await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  }
+  const { accuracy, distanceInterval, timeInterval } = LOCATION_PROFILES.background;
+  await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, {
+    accuracy: Location.Accuracy[accuracy],
+    distanceInterval,
+    timeInterval,
+    activityType: Location.ActivityType[getTravelModeConfig(travelMode).backgroundActivityType],
+    pausesUpdatesAutomatically: false,
+    showsBackgroundLocationIndicator: true,
+    // Android keeps the task alive through a foreground service with a visible notification
+    foregroundService: {
+      notificationTitle: 'RouteMe is navigating',
+      notificationBody: 'Your location is used for turn-by-turn guidance.',
+      notificationColor: '#4A90E2',
+    },
+  });
+  runningMode = travelMode;
+  console.log('📡 [backgroundLocation] Background tracking started for', travelMode);
+});
+
+/**
+ * Stop the background location task if it is running
+ */
+export const stopBackgroundTracking = () => queueChange(async () => {
+  runningMode = null;
+  if (!(await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK))) return;
+  await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  console.log('📡 [backgroundLocation] Background tracking stopped');
+});
+
+export default {
+  requestBackgroundPermission,
+  startBackgroundTracking,
+  stopBackgroundTracking,
+};
@@ -0,0 +1,75 @@
+import * as Location from 'expo-location';
+import { startBackgroundTracking, stopBackgroundTracking, BACKGROUND_LOCATION_TASK } from './backgroundLocation';
+
+jest.mock('expo-task-manager', () => ({ defineTask: jest.fn() }));
+
+// A fake location service whose calls take a while, like the native ones
+jest.mock('expo-location', () => {
+  const state = { running: null };
+  const later = (fn) => new Promise((resolve) => setTimeout(() => resolve(fn()), 10));
+  return {
+    __state: state,
+    Accuracy: { High: 4 },
+    ActivityType: { AutomotiveNavigation: 2, Fitness: 3, OtherNavigation: 4 },
+    hasStartedLocationUpdatesAsync: jest.fn(() => later(() => state.running !== null)),
+    startLocationUpdatesAsync: jest.fn((task, options) => later(() => {
+      state.running = options;
+    })),
+    stopLocationUpdatesAsync: jest.fn(() => later(() => {
+      state.running = null;
+    })),
+  };
+});
+
+const running = () => Location.__state.running;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await stopBackgroundTracking();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('background tracking', () => {
+  it('starts with the activity type of the travel mode', async () => {
+    await startBackgroundTracking('cycling');
+    expect(Location.startLocationUpdatesAsync).toHaveBeenCalledWith(BACKGROUND_LOCATION_TASK, expect.any(Object));
+    expect(running().activityType).toBe(Location.ActivityType.Fitness);
+  });
+
+  it('ends up running for the new mode when a stop is still finishing (mode change mid-journey)', async () => {
+    await startBackgroundTracking('driving');
+
+    // The effect cleanup doesn't wait for its stop before the next effect starts again
+    const stopping = stopBackgroundTracking();
+    await startBackgroundTracking('transit');
+    await stopping;
+
+    expect(running()).not.toBeNull();
+    expect(running().activityType).toBe(Location.ActivityType.OtherNavigation);
+  });
+
+  it('restarts in place when started again for another mode', async () => {
+    await startBackgroundTracking('driving');
+    await startBackgroundTracking('walking');
+    expect(Location.stopLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+    expect(running().activityType).toBe(Location.ActivityType.Fitness);
+  });
+
+  it('leaves a task running for the same mode alone', async () => {
+    await startBackgroundTracking('driving');
+    await startBackgroundTracking('driving');
+    expect(Location.startLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+    expect(Location.stopLocationUpdatesAsync).not.toHaveBeenCalled();
+  });
+
+  it('stops after a start that was still in progress', async () => {
+    const starting = startBackgroundTracking('driving');
+    await stopBackgroundTracking();
+    await starting;
+    expect(running()).toBeNull();
+  });
+});
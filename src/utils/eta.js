@@ -0,0 +1,94 @@
+/**
+ * ETA Helpers
+ * Remaining-time estimation for an active journey
+ */
+
+import { calculateDistance } from './mapHelpers';
+
+// Weight given to the user's measured speed when blending with the route estimate
+const SPEED_BLEND_WEIGHT = 0.35;
+// Below this speed (m/s) the measured speed is ignored (stopped at lights, walking to the car, ...)
+const MIN_BLEND_SPEED_MPS = 2;
+// Window of fixes used for the recent speed estimate
+const SPEED_WINDOW_MS = 60000;
+
+/**
+ * Remaining route time from per-step durations.
+ * The current step contributes the share of its duration that matches the share
+ * of its distance still ahead; all later steps contribute their full duration.
+ *
+ * @param {Array} steps - Route steps with `durationSeconds` and `distanceMeters`
+ * @param {number} currentStepIndex - Index of the step the user is on
+ * @param {number|null} distanceToStepEndKm - Distance left on the current step
+ * @returns {number|null} Remaining seconds, or null if durations are unavailable
+ */
+export const remainingRouteSeconds = (steps, currentStepIndex, distanceToStepEndKm) => {
+  if (!steps || steps.length === 0 || currentStepIndex >= steps.length) return null;
+
+  let seconds = 0;
+  for (let i = currentStepIndex + 1; i < steps.length; i++) {
+    seconds += steps[i].durationSeconds || 0;
+  }
+
+  const current = steps[currentStepIndex];
+  if (current && current.durationSeconds) {
+    const stepKm = (current.distanceMeters || 0) / 1000;
+    const fraction = stepKm > 0 && distanceToStepEndKm !== null
+      ? Math.min(1, Math.max(0, distanceToStepEndKm / stepKm))
+      : 1;
+    seconds += current.durationSeconds * fraction;
+  }
+
+  return seconds;
+};
+
+/**
+ * Average speed over recent fixes
+ * @param {Array} fixes - Array of { latitude, longitude, time } (time in ms), oldest first
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number|null} Speed in m/s, or null if there isn't enough data
+ */
+export const recentSpeedMps = (fixes, now = Date.now()) => {
+  if (!fixes || fixes.length < 2) return null;
+  const recent = fixes.filter((f) => now - f.time <= SPEED_WINDOW_MS);
+  if (recent.length < 2) return null;
+
+  let meters = 0;
+  for (let i = 1; i < recent.length; i++) {
+    meters += calculateDistance(recent[i - 1], recent[i]) * 1000;
+  }
+  const seconds = (recent[recent.length - 1].time - recent[0].time) / 1000;
+  if (seconds <= 0) return null;
+  return meters / seconds;
+};
+
+/**
+ * Blend the route-based estimate with the time implied by the user's actual speed
+ * @param {number|null} routeSeconds - Remaining seconds from route durations
+ * @param {number|null} remainingKm - Remaining distance along the route
+ * @param {number|null} speedMps - Recent measured speed
+ * @returns {number|null} Remaining seconds
+ */
+export const blendRemainingSeconds = (routeSeconds, remainingKm, speedMps) => {
+  const speedSeconds = speedMps && speedMps >= MIN_BLEND_SPEED_MPS && remainingKm !== null
+    ? (remainingKm * 1000) / speedMps
+    : null;
+
+  if (routeSeconds === null) return speedSeconds;
+  if (speedSeconds === null) return routeSeconds;
+  return routeSeconds * (1 - SPEED_BLEND_WEIGHT) + speedSeconds * SPEED_BLEND_WEIGHT;
+};
+
+/**
+ * Format a wall-clock time as HH:MM
+ * @param {Date|number} time - Date or timestamp in ms
+ * @returns {string} e.g. "14:32"
+ */
+export const formatClockTime = (time) => {
+  const date = time instanceof Date ? time : new Date(time);
+  const hh = String(date.getHours()).padStart(2, '0');
+  const mm = String(date.getMinutes()).padStart(2, '0');
+  return `${hh}:${mm}`;
+};
+
+export default { remainingRouteSeconds, recentSpeedMps, blendRemainingSeconds, formatClockTime };
@@ -0,0 +1,105 @@
+/**
+ * Heading Fusion
+ * Combines the two sources of "which way is the user facing":
+ * - GPS course (direction of travel): reliable when moving, meaningless when still
+ * - compass: works when still or walking, but is thrown off inside a vehicle
+ * The fused heading follows the GPS course above a speed threshold and the compass
+ * otherwise, and is smoothed along the shortest way round the circle (359° → 1° is
+ * a 2° turn, not 358°). Compass readings older than a few seconds are ignored, so a
+ * compass that has stopped reporting can't hold the heading.
+ */
+
+// At or above this speed (m/s, ~9 km/h) the GPS course is trusted over the compass
+export const COURSE_MIN_SPEED_MPS = 2.5;
+// Share of the remaining turn applied per update (0..1); lower is smoother but slower
+const HEADING_SMOOTHING = 0.35;
+// Compass readings older than this (ms) are treated as missing
+export const COMPASS_MAX_AGE_MS = 5000;
+
+/**
+ * Normalize an angle to 0..360
+ * @param {number} deg - Angle in degrees
+ * @returns {number} Angle in [0, 360)
+ */
+export const normalizeAngle = (deg) => ((deg % 360) + 360) % 360;
+
+/**
+ * Signed shortest turn from one angle to another
+ * @param {number} from - Degrees
+ * @param {number} to - Degrees
+ * @returns {number} Turn in (-180, 180]; positive is clockwise
+ */
+export const angleDifference = (from, to) => {
+  const diff = normalizeAngle(to - from);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+/**
+ * Move a heading part of the way towards a target, the short way round
+ * @param {number|null} previous - Current heading (null to jump straight to the target)
+ * @param {number} target - Target heading
+ * @param {number} factor - Share of the turn to make (0..1)
+ * @returns {number} Heading in [0, 360)
+ */
+export const smoothHeading = (previous, target, factor = HEADING_SMOOTHING) => {
+  if (previous === null || previous === undefined) return normalizeAngle(target);
+  return normalizeAngle(previous + factor * angleDifference(previous, target));
+};
+
+/**
+ * Create a heading fusion
+ * @param {Object} [options]
+ * @param {number} [options.courseMinSpeedMps] - Speed from which the GPS course is used
+ * @param {number} [options.smoothing] - Smoothing factor (see smoothHeading)
+ * @param {number} [options.compassMaxAgeMs] - Age from which a compass reading is ignored
+ * @param {Function} [options.now] - Clock (default: Date.now)
+ * @returns {Object} { update, reset }
+ */
+export const createHeadingFusion = (options = {}) => {
+  const {
+    courseMinSpeedMps = COURSE_MIN_SPEED_MPS,
+    smoothing = HEADING_SMOOTHING,
+    compassMaxAgeMs = COMPASS_MAX_AGE_MS,
+    now = Date.now,
+  } = options;
+  let heading = null;
+  let source = null;
+
+  /**
+   * Fuse the latest readings
+   * @param {Object} readings
+   * @param {number|null} readings.compass - Compass heading (null when the compass is off)
+   * @param {number} [readings.compassAt] - When the compass reading arrived (ms); readings without it never go stale
+   * @param {number|null} readings.course - GPS course (null when unknown)
+   * @param {number|null} readings.speed - Speed (m/s)
+   * @returns {Object} { heading, source } - source is 'course', 'compass' or null (nothing yet);
+   *   both are held when neither source has a reading
+   */
+  const update = ({ compass: reading, compassAt, course, speed }) => {
+    const stale = compassAt !== undefined && compassAt !== null && now() - compassAt > compassMaxAgeMs;
+    const compass = stale ? null : reading;
+    const moving = speed !== null && speed !== undefined && speed >= courseMinSpeedMps;
+    let target = null;
+    if (course !== null && course !== undefined && (moving || compass === null || compass === undefined)) {
+      target = course;
+      source = 'course';
+    } else if (compass !== null && compass !== undefined) {
+      target = compass;
+      source = 'compass';
+    }
+    if (target !== null) heading = smoothHeading(heading, target, smoothing);
+    return { heading, source };
+  };
+
+  /**
+   * Forget the current heading
+   */
+  const reset = () => {
+    heading = null;
+    source = null;
+  };
+
+  return { update, reset };
+};
+
+export default createHeadingFusion;
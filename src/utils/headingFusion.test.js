@@ -0,0 +1,75 @@
+import {
+  normalizeAngle,
+  angleDifference,
+  smoothHeading,
+  createHeadingFusion,
+  COURSE_MIN_SPEED_MPS,
+  COMPASS_MAX_AGE_MS,
+} from './headingFusion';
+
+describe('angles', () => {
+  it('normalizes into 0..360', () => {
+    expect(normalizeAngle(-10)).toBe(350);
+    expect(normalizeAngle(360)).toBe(0);
+    expect(normalizeAngle(725)).toBe(5);
+  });
+
+  it('measures turns the short way round across north', () => {
+    expect(angleDifference(359, 1)).toBe(2);
+    expect(angleDifference(1, 359)).toBe(-2);
+    expect(angleDifference(90, 270)).toBe(180);
+  });
+
+  it('smooths across 0/360 without swinging the long way round', () => {
+    expect(smoothHeading(350, 10, 0.5)).toBe(0);
+    expect(smoothHeading(10, 350, 0.5)).toBe(0);
+    expect(smoothHeading(355, 15, 0.25)).toBe(0);
+    expect(smoothHeading(null, 370)).toBe(10);
+  });
+});
+
+describe('createHeadingFusion', () => {
+  const NOW = 1700000000000;
+  // No smoothing, so each update shows the source that won
+  const createFusion = (options = {}) => createHeadingFusion({ smoothing: 1, now: () => NOW, ...options });
+
+  it('follows the compass below the course speed and the GPS course from it', () => {
+    const fusion = createFusion();
+    expect(fusion.update({ compass: 200, course: 90, speed: COURSE_MIN_SPEED_MPS - 0.1 })).toEqual({ heading: 200, source: 'compass' });
+    expect(fusion.update({ compass: 200, course: 90, speed: COURSE_MIN_SPEED_MPS })).toEqual({ heading: 90, source: 'course' });
+    expect(fusion.update({ compass: 200, course: 90, speed: 0 })).toEqual({ heading: 200, source: 'compass' });
+  });
+
+  it('uses the course when slow only if there is no compass', () => {
+    const fusion = createFusion();
+    expect(fusion.update({ compass: null, course: 45, speed: 1 })).toEqual({ heading: 45, source: 'course' });
+    expect(fusion.update({ compass: 300, course: null, speed: 20 })).toEqual({ heading: 300, source: 'compass' });
+  });
+
+  it('holds the last heading when neither source has a reading', () => {
+    const fusion = createFusion();
+    fusion.update({ compass: 120, course: null, speed: 0 });
+    expect(fusion.update({ compass: null, course: null, speed: null })).toEqual({ heading: 120, source: 'compass' });
+  });
+
+  it('ignores compass readings that have gone stale', () => {
+    const fusion = createFusion();
+    expect(fusion.update({ compass: 200, compassAt: NOW - COMPASS_MAX_AGE_MS, course: 90, speed: 0 }).source).toBe('compass');
+    // The compass stopped reporting: fall back to the course rather than the old reading
+    expect(fusion.update({ compass: 200, compassAt: NOW - COMPASS_MAX_AGE_MS - 1, course: 90, speed: 0 }))
+      .toEqual({ heading: 90, source: 'course' });
+  });
+
+  it('smooths towards a new heading across north', () => {
+    const fusion = createHeadingFusion({ smoothing: 0.5 });
+    fusion.update({ compass: 350, course: null, speed: 0 });
+    expect(fusion.update({ compass: 10, course: null, speed: 0 }).heading).toBe(0);
+  });
+
+  it('starts over after reset', () => {
+    const fusion = createFusion();
+    fusion.update({ compass: 10, course: null, speed: 0 });
+    fusion.reset();
+    expect(fusion.update({ compass: null, course: null, speed: null })).toEqual({ heading: null, source: null });
+  });
+});
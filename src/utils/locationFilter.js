@@ -0,0 +1,202 @@
+/**
+ * Location Filter
+ * Cleans up raw GPS fixes before the app uses them:
+ * - rejects fixes that are too inaccurate or arrive out of order
+ * - rejects impossible jumps (faster than any travel mode, even allowing for accuracy)
+ * - smooths positions with a simple Kalman filter weighted by each fix's accuracy,
+ *   predicting ahead with the recent velocity so the estimate doesn't lag behind
+ *   (its size taken from the GPS-reported speed, so a still device doesn't drift)
+ *
+ * Fixes going in and out have the shape
+ *   { latitude, longitude, accuracy (m), speed (m/s), course (deg), timestamp (ms) }
+ * where `course` is the GPS direction of travel (the `heading` of an expo-location fix).
+ */
+
+import { calculateDistance } from './mapHelpers';
+
+// Fixes less accurate than this (meters) are dropped once a position is known
+export const MAX_ACCURACY_M = 50;
+// Faster than this (m/s, ~250 km/h) between two fixes is a GPS jump, not travel
+export const MAX_SPEED_MPS = 70;
+// After this many jumps in a row that agree with each other, the filter trusts the new position (e.g. after a tunnel)
+const MAX_CONSECUTIVE_JUMPS = 3;
+// How quickly the true position may drift from the estimate (m/s); higher follows fixes more closely
+const PROCESS_NOISE_MPS = 3;
+// Weight of the newest fix-to-fix velocity in the smoothed velocity (0..1)
+const VELOCITY_SMOOTHING = 0.5;
+// Below this speed (m/s) the GPS course is noise
+const MIN_COURSE_SPEED_MPS = 1;
+// Kilometers per degree of latitude (same spherical Earth as mapHelpers)
+const KM_PER_DEGREE = (6371 * Math.PI) / 180;
+
+// Accuracy bands (meters) for the quality indicator
+const QUALITY_ACCURACY_M = {
+  good: 15,
+  fair: 35,
+};
+
+/**
+ * Convert an expo-location fix into the filter's fix shape
+ * @param {Object} raw - expo-location fix ({ coords, timestamp })
+ * @returns {Object} Fix (missing values are null)
+ */
+export const normalizeFix = (raw) => {
+  const { coords = {} } = raw;
+  const valid = (value) => (typeof value === 'number' && value >= 0 ? value : null);
+  return {
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: valid(coords.accuracy),
+    speed: valid(coords.speed),
+    course: valid(coords.heading),
+    timestamp: raw.timestamp || Date.now(),
+  };
+};
+
+/**
+ * Signal quality for a fix accuracy
+ * @param {number|null} accuracy - Meters
+ * @returns {string} 'good', 'fair' or 'poor'
+ */
+export const getFixQuality = (accuracy) => {
+  if (accuracy === null || accuracy === undefined) return 'fair';
+  if (accuracy <= QUALITY_ACCURACY_M.good) return 'good';
+  if (accuracy <= QUALITY_ACCURACY_M.fair) return 'fair';
+  return 'poor';
+};
+
+/**
+ * Create a location filter
+ * @param {Object} [options]
+ * @param {number} [options.maxAccuracyM] - Accuracy limit for accepted fixes
+ * @param {number} [options.maxSpeedMps] - Speed limit between consecutive fixes
+ * @param {number} [options.processNoiseMps] - Kalman process noise
+ * @returns {Object} { process, reset }
+ */
+export const createLocationFilter = (options = {}) => {
+  const {
+    maxAccuracyM = MAX_ACCURACY_M,
+    maxSpeedMps = MAX_SPEED_MPS,
+    processNoiseMps = PROCESS_NOISE_MPS,
+  } = options;
+
+  // Current estimate, its variance (m²), velocity (degrees/s) and the last accepted raw fix
+  let estimate = null;
+  let variance = 0;
+  let velocity = { latitude: 0, longitude: 0 };
+  let lastFix = null;
+  // Rejected jumps: the last one and how many in a row were plausible moves from each other
+  let lastJump = null;
+  let jumpCount = 0;
+
+  /**
+   * Whether getting from one fix to another is possible, allowing for both fixes' error
+   */
+  const isPlausibleMove = (from, to, dtSeconds) => {
+    const distanceM = calculateDistance(from, to) * 1000;
+    const slackM = (from.accuracy || 0) + (to.accuracy || 0);
+    return distanceM - slackM <= maxSpeedMps * dtSeconds;
+  };
+
+  const accept = (fix, filtered) => {
+    lastFix = fix;
+    lastJump = null;
+    jumpCount = 0;
+    const speed = fix.speed !== null ? fix.speed : filtered.speed;
+    estimate = {
+      latitude: filtered.latitude,
+      longitude: filtered.longitude,
+      accuracy: Math.sqrt(variance),
+      speed,
+      course: fix.course !== null && speed !== null && speed >= MIN_COURSE_SPEED_MPS ? fix.course : null,
+      timestamp: fix.timestamp,
+    };
+    return { fix: estimate, quality: getFixQuality(fix.accuracy) };
+  };
+
+  const start = (fix) => {
+    variance = (fix.accuracy || maxAccuracyM) ** 2;
+    velocity = { latitude: 0, longitude: 0 };
+    return accept(fix, { latitude: fix.latitude, longitude: fix.longitude, speed: null });
+  };
+
+  /**
+   * Run a fix through the filter
+   * @param {Object} fix - Normalized fix (see normalizeFix)
+   * @returns {Object} { fix, quality, rejected } - fix is the smoothed position, or null when rejected
+   */
+  const process = (fix) => {
+    // Anything is better than nothing for the very first position
+    if (!estimate) return start(fix);
+
+    if (fix.accuracy !== null && fix.accuracy > maxAccuracyM) {
+      return { fix: null, quality: 'poor', rejected: 'accuracy' };
+    }
+
+    const dtSeconds = (fix.timestamp - lastFix.timestamp) / 1000;
+    if (dtSeconds <= 0) return { fix: null, quality: getFixQuality(fix.accuracy), rejected: 'stale' };
+
+    if (!isPlausibleMove(lastFix, fix, dtSeconds)) {
+      // A jump that follows on from the previous one may be the real position; unrelated
+      // outliers (multipath) start the count again
+      const followsLastJump = lastJump !== null
+        && fix.timestamp > lastJump.timestamp
+        && isPlausibleMove(lastJump, fix, (fix.timestamp - lastJump.timestamp) / 1000);
+      jumpCount = followsLastJump ? jumpCount + 1 : 1;
+      lastJump = fix;
+      if (jumpCount < MAX_CONSECUTIVE_JUMPS) {
+        return { fix: null, quality: 'poor', rejected: 'jump' };
+      }
+      // The jumps keep agreeing with each other: the estimate was wrong, start over
+      return start(fix);
+    }
+
+    const distanceM = calculateDistance(lastFix, fix) * 1000;
+
+    // Kalman step: predict ahead with the recent velocity (growing less certain with time),
+    // then move towards the fix by its weight
+    const predicted = {
+      latitude: estimate.latitude + velocity.latitude * dtSeconds,
+      longitude: estimate.longitude + velocity.longitude * dtSeconds,
+    };
+    const measurementVariance = (fix.accuracy || maxAccuracyM) ** 2;
+    variance += dtSeconds * processNoiseMps ** 2;
+    const gain = variance / (variance + measurementVariance);
+    variance *= 1 - gain;
+
+    velocity = {
+      latitude: velocity.latitude + VELOCITY_SMOOTHING * ((fix.latitude - lastFix.latitude) / dtSeconds - velocity.latitude),
+      longitude: velocity.longitude + VELOCITY_SMOOTHING * ((fix.longitude - lastFix.longitude) / dtSeconds - velocity.longitude),
+    };
+    // Position noise alone makes a still device look like it's moving; the GPS's own
+    // (Doppler) speed is far steadier, so it sets how fast the estimate moves
+    if (fix.speed !== null) {
+      const cosLat = Math.cos((fix.latitude * Math.PI) / 180);
+      const velocityMps = Math.hypot(velocity.latitude, velocity.longitude * cosLat) * KM_PER_DEGREE * 1000;
+      const scale = velocityMps > 0 ? fix.speed / velocityMps : 0;
+      velocity = { latitude: velocity.latitude * scale, longitude: velocity.longitude * scale };
+    }
+
+    return accept(fix, {
+      latitude: predicted.latitude + gain * (fix.latitude - predicted.latitude),
+      longitude: predicted.longitude + gain * (fix.longitude - predicted.longitude),
+      speed: distanceM / dtSeconds,
+    });
+  };
+
+  /**
+   * Forget the current estimate (the next fix starts a new one)
+   */
+  const reset = () => {
+    estimate = null;
+    variance = 0;
+    velocity = { latitude: 0, longitude: 0 };
+    lastFix = null;
+    lastJump = null;
+    jumpCount = 0;
+  };
+
+  return { process, reset };
+};
+
+export default createLocationFilter;
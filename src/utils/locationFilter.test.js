@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { createLocationFilter, normalizeFix, getFixQuality } from './locationFilter';
+import { createTraceReplayer, parseTrace } from './locationSources/traceReplayer';
+import { calculateDistance, projectOntoSegment } from './mapHelpers';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+// Both fixtures were recorded around this point: standing still, and driving due east from it at 15 m/s
+const ORIGIN = { latitude: -22.57, longitude: 17.08 };
+const DRIVE_END = { latitude: -22.57, longitude: 17.0929 };
+
+/**
+ * Replay a trace file with fake timers and collect the normalized fixes
+ * @param {string} name - Fixture file name
+ * @returns {Array} Normalized fixes in emission order
+ */
+const replayFixture = (name) => {
+  const fixes = [];
+  const replayer = createTraceReplayer(parseTrace(readFixture(name)), {
+    onFix: (raw) => fixes.push(normalizeFix(raw)),
+    speedMultiplier: 10,
+    now: () => 1700000000000,
+  });
+  replayer.start();
+  jest.runAllTimers();
+  return fixes;
+};
+
+/**
+ * Run fixes through a fresh filter
+ * @returns {Array} Filter results, one per fix
+ */
+const runFilter = (fixes) => {
+  const filter = createLocationFilter();
+  return fixes.map((fix) => filter.process(fix));
+};
+
+// Offset a fix by meters east/north
+const offset = (fix, eastM, northM) => ({
+  ...fix,
+  latitude: fix.latitude + northM / 111320,
+  longitude: fix.longitude + eastM / (111320 * Math.cos((fix.latitude * Math.PI) / 180)),
+});
+
+const metersFromDriveLine = (fix) => projectOntoSegment(fix, ORIGIN, DRIVE_END).distanceKm * 1000;
+// How far ahead (+) or behind (-) of the car a fix is, `seconds` into the drive
+const metersAheadOnDrive = (fix, seconds) =>
+  projectOntoSegment(fix, ORIGIN, DRIVE_END).t * calculateDistance(ORIGIN, DRIVE_END) * 1000 - 15 * seconds;
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createLocationFilter on recorded traces', () => {
+  it('drops fixes that are too inaccurate', () => {
+    const fixes = replayFixture('drive-east.gpx');
+    fixes[20] = { ...offset(fixes[20], 0, 60), accuracy: 80 };
+
+    const results = runFilter(fixes);
+
+    expect(results[20]).toEqual({ fix: null, quality: 'poor', rejected: 'accuracy' });
+    expect(results[21].fix).not.toBeNull();
+    expect(metersFromDriveLine(results[21].fix)).toBeLessThan(10);
+  });
+
+  it('drops a single impossible jump and keeps tracking', () => {
+    const fixes = replayFixture('drive-east.gpx');
+    fixes[30] = offset(fixes[30], 0, 800);
+
+    const results = runFilter(fixes);
+
+    expect(results[30].rejected).toBe('jump');
+    expect(results[31].fix).not.toBeNull();
+    expect(metersFromDriveLine(results[31].fix)).toBeLessThan(10);
+  });
+
+  it('does not re-anchor on unrelated outliers in a row', () => {
+    const fixes = replayFixture('drive-east.gpx');
+    fixes[30] = offset(fixes[30], 0, 800);
+    fixes[31] = offset(fixes[31], 0, -900);
+    fixes[32] = offset(fixes[32], 1200, 0);
+
+    const results = runFilter(fixes);
+
+    expect(results.slice(30, 33).map((result) => result.rejected)).toEqual(['jump', 'jump', 'jump']);
+    expect(metersFromDriveLine(results[33].fix)).toBeLessThan(10);
+  });
+
+  it('re-anchors when the jumps agree with each other (the old estimate was wrong)', () => {
+    const fixes = replayFixture('drive-east.gpx');
+    // From fix 40 on, the recording continues from a spot 1 km north
+    const shifted = [...fixes.slice(0, 40), ...fixes.slice(40).map((fix) => offset(fix, 0, 1000))];
+
+    const results = runFilter(shifted);
+
+    expect(results[40].rejected).toBe('jump');
+    expect(results[41].rejected).toBe('jump');
+    expect(results[42].rejected).toBeUndefined();
+    expect(calculateDistance(results[42].fix, shifted[42]) * 1000).toBeLessThan(1);
+  });
+
+  it('smooths a stationary position', () => {
+    const fixes = replayFixture('stationary.gpx');
+    const results = runFilter(fixes);
+
+    const rawErrors = fixes.slice(10).map((fix) => calculateDistance(fix, ORIGIN) * 1000);
+    const filteredErrors = results.slice(10).map((result) => calculateDistance(result.fix, ORIGIN) * 1000);
+
+    expect(results.every((result) => result.fix !== null)).toBe(true);
+    expect(mean(filteredErrors)).toBeLessThan(mean(rawErrors) * 0.7);
+    expect(Math.max(...filteredErrors)).toBeLessThan(Math.max(...rawErrors) * 0.7);
+  });
+
+  it('converges on a moving trace without lagging behind', () => {
+    const fixes = replayFixture('drive-east.gpx');
+    const results = runFilter(fixes);
+
+    // Once settled: closer to the road than the raw fixes, and keeping up with the car
+    const settled = results.slice(10);
+    expect(mean(settled.map((result) => metersFromDriveLine(result.fix))))
+      .toBeLessThan(mean(fixes.slice(10).map(metersFromDriveLine)));
+    const alongErrorsM = settled.map((result, i) => metersAheadOnDrive(result.fix, i + 10));
+    const rawAlongErrorsM = fixes.slice(10).map((fix, i) => metersAheadOnDrive(fix, i + 10));
+    // No systematic lag, and less along-track jitter than the raw fixes
+    expect(Math.abs(mean(alongErrorsM))).toBeLessThan(2);
+    expect(mean(alongErrorsM.map(Math.abs))).toBeLessThan(mean(rawAlongErrorsM.map(Math.abs)));
+    expect(results[results.length - 1].fix.accuracy).toBeLessThan(5);
+  });
+});
+
+describe('getFixQuality', () => {
+  it('grades accuracy into bands', () => {
+    expect(getFixQuality(5)).toBe('good');
+    expect(getFixQuality(25)).toBe('fair');
+    expect(getFixQuality(60)).toBe('poor');
+    expect(getFixQuality(null)).toBe('fair');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Location Permission
+ * Works out where the app stands with location access. The status is one of
+ *
+ *   'checking'          - not known yet (app start)
+ *   'undetermined'      - never asked; explain before asking
+ *   'denied'            - refused, but the system dialog can be shown again
+ *   'blocked'           - refused permanently; only the Settings app can change it
+ *   'servicesDisabled'  - permission granted but location services are switched off
+ *   'acquiring'         - allowed, waiting for the first position
+ *   'approximate'       - allowed, but only an approximate position is shared
+ *   'ready'             - allowed with precise positions
+ *
+ * This module resolves everything up to "allowed"; `useUserLocation` moves on to
+ * acquiring/approximate/ready as fixes arrive.
+ */
+
+import { Linking, Platform } from 'react-native';
+import * as Location from 'expo-location';
+
+// iOS doesn't say whether precise location is on; reduced-accuracy fixes are never better than this (meters)
+export const APPROXIMATE_ACCURACY_M = 1000;
+
+/**
+ * Status for a permission response (or 'granted' when the app may use location)
+ * @param {Object} permission - expo-location permission response
+ * @param {boolean} servicesEnabled - Whether device location services are on
+ * @returns {string} 'undetermined', 'denied', 'blocked', 'servicesDisabled' or 'granted'
+ */
+export const resolveLocationAccess = (permission, servicesEnabled) => {
+  if (permission.status === 'undetermined') return 'undetermined';
+  if (permission.status !== 'granted') return permission.canAskAgain ? 'denied' : 'blocked';
+  return servicesEnabled ? 'granted' : 'servicesDisabled';
+};
+
+/**
+ * Whether the permission only allows an approximate position
+ * @param {Object} permission - expo-location permission response
+ * @returns {boolean|null} null when the platform doesn't say (iOS)
+ */
+export const isApproximatePermission = (permission) => {
+  if (!permission.android) return null;
+  return permission.android.accuracy === 'coarse';
+};
+
+/**
+ * Check location access, optionally showing the system permission dialog
+ * @param {Object} [options]
+ * @param {boolean} [options.request] - Ask for permission when it can still be asked
+ * @returns {Promise<Object>} { access, approximate } (see resolveLocationAccess / isApproximatePermission)
+ */
+export const checkLocationAccess = async ({ request = false } = {}) => {
+  let permission = await Location.getForegroundPermissionsAsync();
+  if (request && permission.status !== 'granted' && permission.canAskAgain) {
+    permission = await Location.requestForegroundPermissionsAsync();
+  }
+  const servicesEnabled = await Location.hasServicesEnabledAsync();
+  return {
+    access: resolveLocationAccess(permission, servicesEnabled),
+    approximate: isApproximatePermission(permission),
+  };
+};
+
+/**
+ * Try to switch location services on
+ * Android shows the system "turn on location" dialog; iOS can only open the app's settings.
+ * @returns {Promise<boolean>} Whether services were switched on from inside the app
+ */
+export const enableLocationServices = async () => {
+  if (Platform.OS === 'android') {
+    try {
+      await Location.enableNetworkProviderAsync();
+      return true;
+    } catch (error) {
+      console.warn('⚠️ [locationPermission] Location services left off:', error.message);
+      return false;
+    }
+  }
+  await Linking.openSettings();
+  return false;
+};
+
+/**
+ * Open the app's page in the system settings
+ */
+export const openLocationSettings = () => Linking.openSettings();
+
+export default {
+  checkLocationAccess,
+  enableLocationServices,
+  openLocationSettings,
+};
@@ -0,0 +1,30 @@
+/**
+ * Device location source
+ * The phone's own GPS through expo-location.
+ */
+
+import * as Location from 'expo-location';
+
+const deviceSource = {
+  name: 'device',
+  simulated: false,
+
+  /**
+   * One-off position
+   * @param {Object} options - expo-location options
+   * @returns {Promise<Object>} expo-location fix
+   */
+  getCurrentPosition: (options) => Location.getCurrentPositionAsync(options),
+
+  /**
+   * Watch position
+   * @param {Object} options - expo-location watch options (accuracy, intervals)
+   * @param {Function} onFix - Receives expo-location fixes
+   * @returns {Promise<Object>} Subscription with remove()
+   */
+  watchPosition: (options, onFix) => Location.watchPositionAsync(options, onFix),
+
+  stop: () => {},
+};
+
+export default deviceSource;
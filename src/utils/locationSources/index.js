@@ -0,0 +1,48 @@
+/**
+ * Location Sources
+ * Where `useUserLocation` gets its fixes from. Every source delivers
+ * expo-location style fixes ({ coords, timestamp }) through the same interface:
+ *
+ *   {
+ *     name,                                   // 'device', 'trace' or 'route'
+ *     simulated,                              // true for anything but the device GPS
+ *     getCurrentPosition(options),            // Promise<fix>
+ *     watchPosition(options, onFix),          // Promise<{ remove() }>
+ *     stop(),                                 // release the source when switching away
+ *   }
+ *
+ * Replay sources add pause(), resume(), isPaused() and setSpeedMultiplier(x).
+ * The active source can be switched at runtime (developer menu); the hook
+ * listens for LOCATION_SOURCE_EVENT and restarts its watch on the new source.
+ */
+
+import { emit } from '../eventBus';
+import deviceSource from './deviceSource';
+import { createTraceSource, createTraceSourceFromText, createRouteSimulatorSource } from './replaySources';
+
+// Event carrying the newly active location source
+export const LOCATION_SOURCE_EVENT = 'locationSourceChanged';
+
+let activeSource = deviceSource;
+
+/**
+ * Get the location source currently in use
+ * @returns {Object} Location source
+ */
+export const getLocationSource = () => activeSource;
+
+/**
+ * Make a source the active one (stopping the previous source)
+ * @param {Object} source - Location source (default: the device GPS)
+ */
+export const setLocationSource = (source = deviceSource) => {
+  if (source === activeSource) return;
+  activeSource.stop();
+  activeSource = source;
+  console.log('🛰️ [locationSources] Location source:', source.name);
+  emit(LOCATION_SOURCE_EVENT, source);
+};
+
+export { deviceSource, createTraceSource, createTraceSourceFromText, createRouteSimulatorSource };
+
+export default { getLocationSource, setLocationSource };
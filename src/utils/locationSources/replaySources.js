@@ -0,0 +1,94 @@
+/**
+ * Replay location sources
+ * Sources that replay a trace instead of reading the GPS: a recorded GPX/GeoJSON
+ * trace, or a drive along the current route. They ignore the watch options of
+ * the location profile and move at the trace's own pace.
+ */
+
+import { createTraceReplayer, parseTrace, resamplePolyline, timeTrace } from './traceReplayer';
+
+// The route simulator emits a fix about once a second of simulated travel
+const SIMULATED_FIX_INTERVAL_S = 1;
+
+/**
+ * Create a source that replays timed trace points
+ * @param {Array} points - Timed trace points (see traceReplayer)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Source name (default: 'trace')
+ * @param {number} [options.speedMultiplier] - Playback speed (default: 1)
+ * @returns {Object} Location source with pause/resume/setSpeedMultiplier controls
+ */
+export const createTraceSource = (points, options = {}) => {
+  const { name = 'trace', speedMultiplier = 1 } = options;
+  const listeners = new Set();
+  let replayer = null;
+
+  const ensureStarted = () => {
+    if (replayer) return;
+    replayer = createTraceReplayer(points, {
+      speedMultiplier,
+      onFix: (fix) => listeners.forEach((listener) => listener(fix)),
+      onEnd: () => console.log('🏁 [replaySources] Replay finished:', name),
+    });
+    replayer.start();
+  };
+
+  return {
+    name,
+    simulated: true,
+
+    getCurrentPosition: async () => {
+      const fix = replayer?.getCurrentFix();
+      if (fix) return fix;
+      const first = points[0];
+      return { coords: { latitude: first.latitude, longitude: first.longitude, accuracy: 5, speed: 0, heading: -1 }, timestamp: Date.now() };
+    },
+
+    // Playback starts with the first watcher and keeps going across profile changes
+    watchPosition: async (watchOptions, onFix) => {
+      listeners.add(onFix);
+      ensureStarted();
+      return { remove: () => listeners.delete(onFix) };
+    },
+
+    pause: () => replayer?.pause(),
+    resume: () => replayer?.resume(),
+    isPaused: () => !!replayer?.isPaused(),
+    setSpeedMultiplier: (multiplier) => replayer?.setSpeedMultiplier(multiplier),
+
+    stop: () => {
+      if (replayer) replayer.stop();
+      listeners.clear();
+    },
+  };
+};
+
+/**
+ * Create a source from GPX or GeoJSON text
+ * @param {string} text - Trace file contents
+ * @param {Object} [options] - See createTraceSource
+ * @returns {Object} Location source
+ */
+export const createTraceSourceFromText = (text, options = {}) => {
+  const points = parseTrace(text);
+  if (points.length < 2) throw new Error('Trace needs at least two points');
+  return createTraceSource(points, { name: 'trace', ...options });
+};
+
+/**
+ * Create a source that drives along a route at a constant speed
+ * @param {Array} routeCoordinates - Route geometry
+ * @param {Object} [options]
+ * @param {number} [options.speedMps] - Simulated speed (default: 13.9 m/s, 50 km/h)
+ * @param {number} [options.speedMultiplier] - Playback speed (default: 1)
+ * @returns {Object} Location source
+ */
+export const createRouteSimulatorSource = (routeCoordinates, options = {}) => {
+  const { speedMps = 13.9, speedMultiplier = 1 } = options;
+  if (!routeCoordinates || routeCoordinates.length < 2) throw new Error('No route to simulate');
+  const stepKm = (speedMps * SIMULATED_FIX_INTERVAL_S) / 1000;
+  const points = timeTrace(resamplePolyline(routeCoordinates, stepKm), speedMps);
+  return createTraceSource(points, { name: 'route', speedMultiplier });
+};
+
+export default { createTraceSource, createTraceSourceFromText, createRouteSimulatorSource };
@@ -0,0 +1,247 @@
+/**
+ * Trace Replayer
+ * Plays a recorded or generated trace back as expo-location style fixes.
+ * Has no React Native dependencies and takes its timers as options, so it can
+ * also drive the location pipeline in headless tests.
+ *
+ * Trace points are { latitude, longitude, time } with `time` in ms (relative or absolute),
+ * plus `speed` (m/s) when the recording has it.
+ */
+
+import { calculateDistance, getBearing } from '../mapHelpers';
+
+// Speed assumed for traces without timestamps (m/s)
+const DEFAULT_TRACE_SPEED_MPS = 10;
+// Reported accuracy of replayed fixes (meters)
+const REPLAY_ACCURACY_M = 5;
+
+/**
+ * Fill in missing times from the distance between points at a constant speed
+ * @param {Array} points - Array of { latitude, longitude, time? }
+ * @param {number} speedMps - Speed for untimed points (default: 10 m/s)
+ * @returns {Array} Points that all have a time
+ */
+export const timeTrace = (points, speedMps = DEFAULT_TRACE_SPEED_MPS) => {
+  let time = 0;
+  return points.map((point, index) => {
+    if (index > 0) {
+      const prev = points[index - 1];
+      const hasTimes = Number.isFinite(point.time) && Number.isFinite(prev.time);
+      time += hasTimes ? point.time - prev.time : (calculateDistance(prev, point) * 1000 / speedMps) * 1000;
+    }
+    const timed = { latitude: point.latitude, longitude: point.longitude, time };
+    if (Number.isFinite(point.speed)) timed.speed = point.speed;
+    return timed;
+  });
+};
+
+/**
+ * Parse the track (or route) points of a GPX file
+ * @param {string} text - GPX XML
+ * @returns {Array} Timed trace points
+ */
+export const parseGpx = (text) => {
+  const points = [];
+  const pointPattern = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  let match = pointPattern.exec(text);
+  while (match) {
+    const attributes = match[2];
+    const lat = /\blat="([^"]+)"/.exec(attributes);
+    const lon = /\blon="([^"]+)"/.exec(attributes);
+    const time = /<time>([^<]+)<\/time>/.exec(match[4] || '');
+    // GPX 1.0 <speed> (m/s), which many loggers record
+    const speed = /<speed>([^<]+)<\/speed>/.exec(match[4] || '');
+    if (lat && lon) {
+      points.push({
+        latitude: parseFloat(lat[1]),
+        longitude: parseFloat(lon[1]),
+        time: time ? Date.parse(time[1]) : undefined,
+        speed: speed ? parseFloat(speed[1]) : undefined,
+      });
+    }
+    match = pointPattern.exec(text);
+  }
+  return timeTrace(points);
+};
+
+/**
+ * Parse a GeoJSON trace: a LineString (optionally with `properties.coordTimes` or
+ * `properties.times`) or Point features with `properties.time`
+ * @param {Object|string} geojson - GeoJSON object or text
+ * @returns {Array} Timed trace points
+ */
+export const parseGeoJsonTrace = (geojson) => {
+  const data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const features = data.type === 'FeatureCollection' ? data.features : [data.type === 'Feature' ? data : { geometry: data }];
+  const points = [];
+
+  features.forEach((feature) => {
+    const { geometry, properties = {} } = feature;
+    if (!geometry) return;
+    if (geometry.type === 'LineString') {
+      const times = properties.coordTimes || properties.times || [];
+      geometry.coordinates.forEach(([lng, lat], i) => {
+        points.push({ latitude: lat, longitude: lng, time: times[i] !== undefined ? Date.parse(times[i]) : undefined });
+      });
+    } else if (geometry.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      points.push({ latitude: lat, longitude: lng, time: properties.time ? Date.parse(properties.time) : undefined });
+    }
+  });
+
+  return timeTrace(points);
+};
+
+/**
+ * Parse GPX or GeoJSON text, whichever it is
+ * @param {string} text - Trace file contents
+ * @returns {Array} Timed trace points
+ */
+export const parseTrace = (text) => (text.trim().startsWith('<') ? parseGpx(text) : parseGeoJsonTrace(text));
+
+/**
+ * Points every `stepKm` along a polyline (plus its last point), so replay moves smoothly
+ * @param {Array} coordinates - Array of { latitude, longitude }
+ * @param {number} stepKm - Distance between points
+ * @returns {Array} Resampled coordinates
+ */
+export const resamplePolyline = (coordinates, stepKm) => {
+  if (!coordinates || coordinates.length < 2 || !(stepKm > 0)) return coordinates || [];
+  const points = [coordinates[0]];
+  let untilNext = stepKm;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const a = coordinates[i];
+    const b = coordinates[i + 1];
+    const segmentKm = calculateDistance(a, b);
+    let along = untilNext;
+    while (along <= segmentKm) {
+      const t = along / segmentKm;
+      points.push({
+        latitude: a.latitude + t * (b.latitude - a.latitude),
+        longitude: a.longitude + t * (b.longitude - a.longitude),
+      });
+      along += stepKm;
+    }
+    untilNext = along - segmentKm;
+  }
+  points.push(coordinates[coordinates.length - 1]);
+  return points;
+};
+
+/**
+ * Create a replayer for a timed trace
+ * Fix timestamps follow the trace's own clock rather than the wall clock, so
+ * speeds derived from them match the trace at any playback speed.
+ * @param {Array} points - Timed trace points
+ * @param {Object} options
+ * @param {Function} options.onFix - Receives expo-location style fixes ({ coords, timestamp })
+ * @param {Function} [options.onEnd] - Called after the last point
+ * @param {number} [options.speedMultiplier] - Playback speed (default: 1)
+ * @param {Object} [options.timers] - { setTimeout, clearTimeout } (default: global timers)
+ * @param {Function} [options.now] - Clock for the first timestamp (default: Date.now)
+ * @returns {Object} { start, pause, resume, stop, setSpeedMultiplier, isPaused, getCurrentFix }
+ */
+export const createTraceReplayer = (points, options) => {
+  const {
+    onFix,
+    onEnd,
+    timers = { setTimeout, clearTimeout },
+    now = Date.now,
+  } = options;
+  let speedMultiplier = options.speedMultiplier || 1;
+  let index = 0;
+  let timer = null;
+  let paused = false;
+  let running = false;
+  let startedAt = null;
+  let currentFix = null;
+
+  const buildFix = (i) => {
+    const point = points[i];
+    const next = points[i + 1];
+    const prev = points[i - 1];
+    const from = next ? point : prev;
+    const to = next || point;
+    const dtSeconds = from && to ? Math.abs(to.time - from.time) / 1000 : 0;
+    return {
+      coords: {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        accuracy: REPLAY_ACCURACY_M,
+        // Recorded speed when there is one, otherwise the speed between points
+        speed: Number.isFinite(point.speed) ? point.speed : dtSeconds > 0 ? (calculateDistance(from, to) * 1000) / dtSeconds : 0,
+        heading: from && to && from !== to ? getBearing(from, to) : -1,
+      },
+      timestamp: startedAt + (point.time - points[0].time),
+    };
+  };
+
+  const emitNext = () => {
+    timer = null;
+    if (!running || paused) return;
+    currentFix = buildFix(index);
+    onFix(currentFix);
+    index += 1;
+    if (index >= points.length) {
+      running = false;
+      if (onEnd) onEnd();
+      return;
+    }
+    const delay = (points[index].time - points[index - 1].time) / speedMultiplier;
+    timer = timers.setTimeout(emitNext, Math.max(0, delay));
+  };
+
+  const clearTimer = () => {
+    if (timer !== null) timers.clearTimeout(timer);
+    timer = null;
+  };
+
+  /**
+   * Start from the first point
+   */
+  const start = () => {
+    clearTimer();
+    if (points.length === 0) return;
+    index = 0;
+    paused = false;
+    running = true;
+    startedAt = now();
+    emitNext();
+  };
+
+  const pause = () => {
+    paused = true;
+    clearTimer();
+  };
+
+  const resume = () => {
+    if (!paused) return;
+    paused = false;
+    if (running) emitNext();
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimer();
+  };
+
+  /**
+   * Change playback speed; takes effect from the next point
+   * @param {number} multiplier - e.g. 2 for double speed
+   */
+  const setSpeedMultiplier = (multiplier) => {
+    speedMultiplier = multiplier > 0 ? multiplier : 1;
+  };
+
+  return {
+    start,
+    pause,
+    resume,
+    stop,
+    setSpeedMultiplier,
+    isPaused: () => paused,
+    getCurrentFix: () => currentFix,
+  };
+};
+
+export default createTraceReplayer;
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import { createTraceReplayer, parseTrace } from './traceReplayer';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '..', '__fixtures__', name), 'utf8');
+
+// Wall clock when playback starts; fix timestamps count from here on the trace's own clock
+const STARTED_AT = 1700000000000;
+// Offsets of the fixture's points from its first one (ms)
+const TRACE_OFFSETS = [0, 2000, 3000, 7000, 8000];
+
+/**
+ * Replay the short walk fixture with fake timers
+ * @param {Object} [options] - Extra replayer options
+ * @returns {Object} { replayer, fixes, ended } - fixes fill in as the timers run
+ */
+const replayShortWalk = (options = {}) => {
+  const fixes = [];
+  const ended = { value: false };
+  const replayer = createTraceReplayer(parseTrace(readFixture('short-walk.geojson')), {
+    onFix: (fix) => fixes.push(fix),
+    onEnd: () => {
+      ended.value = true;
+    },
+    now: () => STARTED_AT,
+    ...options,
+  });
+  return { replayer, fixes, ended };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('parseTrace', () => {
+  it('reads GeoJSON coordinates and times relative to the first point', () => {
+    const points = parseTrace(readFixture('short-walk.geojson'));
+    expect(points.map((point) => point.time)).toEqual(TRACE_OFFSETS);
+    expect(points[0]).toMatchObject({ latitude: -22.57, longitude: 17.08 });
+  });
+});
+
+describe('createTraceReplayer', () => {
+  it('emits every point in order, each after the trace gap, stamped on the trace clock', () => {
+    const { replayer, fixes, ended } = replayShortWalk();
+    replayer.start();
+    expect(fixes).toHaveLength(1);
+
+    jest.advanceTimersByTime(1999);
+    expect(fixes).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(fixes).toHaveLength(2);
+
+    jest.advanceTimersByTime(1000);
+    expect(fixes).toHaveLength(3);
+    jest.advanceTimersByTime(3999);
+    expect(fixes).toHaveLength(3);
+    jest.advanceTimersByTime(1001);
+
+    expect(fixes.map((fix) => fix.timestamp)).toEqual(TRACE_OFFSETS.map((offset) => STARTED_AT + offset));
+    expect(fixes.map((fix) => fix.coords.longitude)).toEqual([17.08, 17.08003, 17.08004, 17.08004, 17.08004]);
+    expect(ended.value).toBe(true);
+  });
+
+  it('reports speed and heading from the movement between points', () => {
+    const { replayer, fixes } = replayShortWalk();
+    replayer.start();
+    jest.runAllTimers();
+
+    // 0.00003° of longitude at 22.57°S is about 3.08 m, covered in 2 s
+    expect(fixes[0].coords.speed).toBeCloseTo(1.54, 1);
+    expect(fixes[0].coords.heading).toBeCloseTo(90, 0);
+    // The last point has nothing after it and keeps the heading of the step into it
+    expect(fixes[4].coords.heading).toBeCloseTo(180, 0);
+  });
+
+  it('holds playback while paused and carries on from the next point on resume', () => {
+    const { replayer, fixes } = replayShortWalk();
+    replayer.start();
+    jest.advanceTimersByTime(2000);
+    expect(fixes).toHaveLength(2);
+
+    replayer.pause();
+    expect(replayer.isPaused()).toBe(true);
+    jest.advanceTimersByTime(60000);
+    expect(fixes).toHaveLength(2);
+
+    replayer.resume();
+    expect(replayer.isPaused()).toBe(false);
+    expect(fixes).toHaveLength(3);
+    expect(replayer.getCurrentFix().timestamp).toBe(STARTED_AT + 3000);
+
+    jest.runAllTimers();
+    expect(fixes.map((fix) => fix.timestamp)).toEqual(TRACE_OFFSETS.map((offset) => STARTED_AT + offset));
+  });
+
+  it('scales the wait between points by the speed multiplier without changing timestamps', () => {
+    const { replayer, fixes } = replayShortWalk({ speedMultiplier: 2 });
+    replayer.start();
+    jest.advanceTimersByTime(1000);
+    expect(fixes).toHaveLength(2);
+
+    // The next wait was already scheduled at 2x (500 ms); the change applies after it
+    replayer.setSpeedMultiplier(4);
+    jest.advanceTimersByTime(500);
+    expect(fixes).toHaveLength(3);
+    jest.advanceTimersByTime(999);
+    expect(fixes).toHaveLength(3);
+    jest.advanceTimersByTime(1);
+    expect(fixes).toHaveLength(4);
+
+    jest.advanceTimersByTime(249);
+    expect(fixes).toHaveLength(4);
+    jest.advanceTimersByTime(1);
+    expect(fixes).toHaveLength(5);
+
+    expect(fixes.map((fix) => fix.timestamp)).toEqual(TRACE_OFFSETS.map((offset) => STARTED_AT + offset));
+  });
+
+  it('stops emitting after stop', () => {
+    const { replayer, fixes, ended } = replayShortWalk();
+    replayer.start();
+    replayer.stop();
+    jest.runAllTimers();
+    expect(fixes).toHaveLength(1);
+    expect(ended.value).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Maneuver Helpers
+ * Maps Directions API maneuver types to display icons
+ */
+
+// Directions API `maneuver` values -> Ionicons names
+const MANEUVER_ICONS = {
+  'turn-left': 'arrow-back',
+  'turn-slight-left': 'arrow-back',
+  'turn-sharp-left': 'arrow-back',
+  'keep-left': 'arrow-back',
+  'fork-left': 'git-branch-outline',
+  'ramp-left': 'arrow-back',
+  'turn-right': 'arrow-forward',
+  'turn-slight-right': 'arrow-forward',
+  'turn-sharp-right': 'arrow-forward',
+  'keep-right': 'arrow-forward',
+  'fork-right': 'git-branch-outline',
+  'ramp-right': 'arrow-forward',
+  'uturn-left': 'return-down-back',
+  'uturn-right': 'return-down-forward',
+  'roundabout-left': 'sync',
+  'roundabout-right': 'sync',
+  merge: 'git-merge-outline',
+  ferry: 'boat-outline',
+  'ferry-train': 'train-outline',
+  straight: 'arrow-up',
+};
+
+/**
+ * Get the icon name for a maneuver type
+ * @param {string} maneuver - Maneuver type from the Directions API
+ * @returns {string} Ionicons icon name
+ */
+export const getManeuverIcon = (maneuver) => MANEUVER_ICONS[maneuver] || 'arrow-up';
+
+export default { getManeuverIcon };
@@ -31,31 +31,26 @@ export const calculateDistance = (coord1, coord2) => {
 
 /**
  * Check if user has deviated from the route
+ * Measures the perpendicular distance to the nearest route segment, so sparse
+ * vertices on long straight roads don't cause false deviations.
  * @param {Object} currentLocation - Current user location
  * @param {Array} routeCoordinates - Array of route coordinates
- * @param {number} threshold - Distance threshold in meters (default: 50)
+ * @param {number} threshold - Distance threshold in km (default: 0.05 = 50 meters)
+ * @param {number} fromIndex - Segment index to start searching from (default: 0)
  * @returns {boolean} True if deviated from route
  */
 export const hasDeviatedFromRoute = (
   currentLocation,
   routeCoordinates,
-  threshold = 0.05 // 50 meters in km
+  threshold = 0.05, // 50 meters in km
+  fromIndex = 0
 ) => {
   if (!currentLocation || !routeCoordinates || routeCoordinates.length === 0) {
     return false;
   }
 
-  // Find minimum distance to any point on the route
-  let minDistance = Infinity;
-
-  for (const coord of routeCoordinates) {
-    const distance = calculateDistance(currentLocation, coord);
-    if (distance < minDistance) {
-      minDistance = distance;
-    }
-  }
-
-  return minDistance > threshold;
+  const match = projectOntoRoute(currentLocation, routeCoordinates, { fromIndex });
+  return match.distanceKm > threshold;
 };
 
 /**
@@ -168,37 +163,213 @@ export const decodePolyline = (encoded) => {
   return poly;
 };
 
+// Kilometers per degree of latitude (and of longitude at the equator)
+const KM_PER_DEGREE = (6371 * Math.PI) / 180;
+
+/**
+ * Project a point onto the segment a-b.
+ * Uses a local equirectangular approximation around the point, which is
+ * accurate to well under a meter for route-sized segments.
+ *
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} a - Segment start { latitude, longitude }
+ * @param {Object} b - Segment end { latitude, longitude }
+ * @returns {Object} { point, t, distanceKm } where t is the 0..1 position along the segment
+ */
+export const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos((point.latitude * Math.PI) / 180);
+  // Segment endpoints in km, relative to the point
+  const ax = (a.longitude - point.longitude) * cosLat * KM_PER_DEGREE;
+  const ay = (a.latitude - point.latitude) * KM_PER_DEGREE;
+  const bx = (b.longitude - point.longitude) * cosLat * KM_PER_DEGREE;
+  const by = (b.latitude - point.latitude) * KM_PER_DEGREE;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq > 0 ? -(ax * dx + ay * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+
+  const px = ax + t * dx;
+  const py = ay + t * dy;
+
+  return {
+    point: {
+      latitude: a.latitude + t * (b.latitude - a.latitude),
+      longitude: a.longitude + t * (b.longitude - a.longitude),
+    },
+    t,
+    distanceKm: Math.sqrt(px * px + py * py),
+  };
+};
+
+/**
+ * Total length of a polyline
+ * @param {Array} coordinates - Array of { latitude, longitude }
+ * @returns {number} Length in kilometers
+ */
+export const polylineLength = (coordinates) => {
+  if (!coordinates || coordinates.length < 2) return 0;
+  let total = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    total += calculateDistance(coordinates[i], coordinates[i + 1]);
+  }
+  return total;
+};
+
+/**
+ * Match a point to the closest position on a route polyline.
+ * Searches forward from `fromIndex` (the segment matched last time) so the
+ * match doesn't jump back onto an earlier part of the route that passes nearby.
+ * With `lookahead`, only that many segments are searched unless the match is
+ * further than `maxSnapKm`, in which case the rest of the route is searched too.
+ *
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} routeCoordinates - Array of { latitude, longitude }
+ * @param {Object} [options]
+ * @param {number} [options.fromIndex] - First segment to consider (default: 0)
+ * @param {number} [options.lookahead] - Number of segments to search before widening (default: all)
+ * @param {number} [options.maxSnapKm] - Widen the search when the windowed match is further than this
+ * @returns {Object|null} { segmentIndex, t, point, distanceKm, distanceAlongKm } or null without a route
+ */
+export const projectOntoRoute = (point, routeCoordinates, options = {}) => {
+  if (!point || !routeCoordinates || routeCoordinates.length === 0) return null;
+
+  if (routeCoordinates.length === 1) {
+    return {
+      segmentIndex: 0,
+      t: 0,
+      point: routeCoordinates[0],
+      distanceKm: calculateDistance(point, routeCoordinates[0]),
+      distanceAlongKm: 0,
+    };
+  }
+
+  const { fromIndex = 0, lookahead = null, maxSnapKm = null } = options;
+  const lastSegment = routeCoordinates.length - 2;
+  const start = Math.min(Math.max(fromIndex, 0), lastSegment);
+
+  const search = (first, last) => {
+    let best = null;
+    for (let i = first; i <= last; i++) {
+      const projection = projectOntoSegment(point, routeCoordinates[i], routeCoordinates[i + 1]);
+      if (!best || projection.distanceKm < best.distanceKm) {
+        best = { ...projection, segmentIndex: i };
+      }
+    }
+    return best;
+  };
+
+  let best = search(start, lookahead !== null ? Math.min(lastSegment, start + lookahead) : lastSegment);
+
+  // The windowed match is poor (GPS jump, skipped ahead): widen to the rest of the route
+  if (lookahead !== null && maxSnapKm !== null && best.distanceKm > maxSnapKm && start + lookahead < lastSegment) {
+    const wider = search(start + lookahead + 1, lastSegment);
+    if (wider && wider.distanceKm < best.distanceKm) best = wider;
+  }
+
+  let distanceAlongKm = 0;
+  for (let i = 0; i < best.segmentIndex; i++) {
+    distanceAlongKm += calculateDistance(routeCoordinates[i], routeCoordinates[i + 1]);
+  }
+  distanceAlongKm += best.t * calculateDistance(routeCoordinates[best.segmentIndex], routeCoordinates[best.segmentIndex + 1]);
+
+  return { ...best, distanceAlongKm };
+};
+
+/**
+ * Coordinate at a given distance along a route polyline
+ * @param {Array} routeCoordinates - Array of { latitude, longitude }
+ * @param {number} distanceKm - Distance from the start of the route
+ * @returns {Object|null} { latitude, longitude } (clamped to the route ends), or null without a route
+ */
+export const pointAlongRoute = (routeCoordinates, distanceKm) => {
+  if (!routeCoordinates || routeCoordinates.length === 0) return null;
+  if (distanceKm <= 0) return routeCoordinates[0];
+
+  let travelled = 0;
+  for (let i = 0; i < routeCoordinates.length - 1; i++) {
+    const segment = calculateDistance(routeCoordinates[i], routeCoordinates[i + 1]);
+    if (travelled + segment >= distanceKm && segment > 0) {
+      const t = (distanceKm - travelled) / segment;
+      const a = routeCoordinates[i];
+      const b = routeCoordinates[i + 1];
+      return {
+        latitude: a.latitude + t * (b.latitude - a.latitude),
+        longitude: a.longitude + t * (b.longitude - a.longitude),
+      };
+    }
+    travelled += segment;
+  }
+  return routeCoordinates[routeCoordinates.length - 1];
+};
+
 /**
- * Estimate remaining distance along a route polyline from the current location.
- * Strategy: find the nearest point on the polyline (by point sampling) and
- * sum the distances from that point to the end of the route. This is an
- * approximation but much more accurate than straight-line to the destination.
+ * Remaining distance along a route polyline from the current location.
+ * The location is projected onto the nearest route segment and the distance
+ * from that projected point to the end of the route is returned.
  *
  * @param {Object} currentLocation - { latitude, longitude }
  * @param {Array} routeCoordinates - Array of { latitude, longitude }
+ * @param {number} fromIndex - Segment index to start searching from (default: 0)
  * @returns {number|null} Remaining distance in kilometers, or null if unavailable
  */
-export const remainingDistanceAlongRoute = (currentLocation, routeCoordinates) => {
-  if (!currentLocation || !routeCoordinates || routeCoordinates.length === 0) return null;
-
-  // Find the nearest sampled point on the route
-  let minIdx = 0;
-  let minDist = Infinity;
-  for (let i = 0; i < routeCoordinates.length; i++) {
-    const d = calculateDistance(currentLocation, routeCoordinates[i]);
-    if (d < minDist) {
-      minDist = d;
-      minIdx = i;
+export const remainingDistanceAlongRoute = (currentLocation, routeCoordinates, fromIndex = 0) => {
+  const match = projectOntoRoute(currentLocation, routeCoordinates, { fromIndex });
+  if (!match) return null;
+  return Math.max(0, polylineLength(routeCoordinates) - match.distanceAlongKm);
+};
+
+/**
+ * Find the index of the route step the user is currently travelling on.
+ * Only searches forward from `fromIndex` (plus a small lookahead) so the
+ * active step never jumps backwards onto an earlier, nearby step.
+ *
+ * @param {Object} currentLocation - { latitude, longitude }
+ * @param {Array} steps - Route steps with `polyline` (and/or start/end locations)
+ * @param {number} fromIndex - Index of the step matched last time (default: 0)
+ * @param {number} lookahead - Number of following steps to consider (default: 3)
+ * @returns {number} Index of the closest step
+ */
+export const findCurrentStepIndex = (currentLocation, steps, fromIndex = 0, lookahead = 3) => {
+  if (!currentLocation || !steps || steps.length === 0) return 0;
+
+  const first = Math.min(Math.max(fromIndex, 0), steps.length - 1);
+  const last = Math.min(steps.length - 1, first + lookahead);
+  let bestIdx = first;
+  let bestDist = Infinity;
+
+  for (let i = first; i <= last; i++) {
+    const step = steps[i];
+    const points = step.polyline && step.polyline.length > 0
+      ? step.polyline
+      : [step.startLocation, step.endLocation].filter(Boolean);
+    const match = projectOntoRoute(currentLocation, points);
+    // Strictly closer only: at the shared maneuver point the earlier step wins until the user has passed it
+    if (match && match.distanceKm < bestDist) {
+      bestDist = match.distanceKm;
+      bestIdx = i;
     }
   }
 
-  // Remaining distance = distance from current to nearest point + sum of remaining segments
-  let remaining = minDist;
-  for (let i = minIdx; i < routeCoordinates.length - 1; i++) {
-    remaining += calculateDistance(routeCoordinates[i], routeCoordinates[i + 1]);
-  }
+  return bestIdx;
+};
 
-  return remaining;
+/**
+ * Distance from the current location to the end of a route step (the next maneuver point).
+ * Follows the step polyline when available, otherwise straight-line to the step end.
+ *
+ * @param {Object} currentLocation - { latitude, longitude }
+ * @param {Object} step - Route step with `polyline` and/or `endLocation`
+ * @returns {number|null} Distance in kilometers, or null if unavailable
+ */
+export const distanceToStepEnd = (currentLocation, step) => {
+  if (!currentLocation || !step) return null;
+  if (step.polyline && step.polyline.length > 0) {
+    return remainingDistanceAlongRoute(currentLocation, step.polyline);
+  }
+  if (step.endLocation) return calculateDistance(currentLocation, step.endLocation);
+  return null;
 };
 
 /**
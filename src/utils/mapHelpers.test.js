@@ -0,0 +1,141 @@
+import {
+  calculateDistance,
+  projectOntoSegment,
+  projectOntoRoute,
+  remainingDistanceAlongRoute,
+  hasDeviatedFromRoute,
+} from './mapHelpers';
+
+// Synthetic route along the equator: three 0.01° (~1.11 km) segments heading east
+const route = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 0.01 },
+  { latitude: 0, longitude: 0.02 },
+  { latitude: 0, longitude: 0.03 },
+];
+const SEGMENT_KM = calculateDistance(route[0], route[1]);
+// Degrees of latitude per kilometer (for offsets north of the route)
+const DEG_PER_KM = 1 / 111.32;
+
+// Out-and-back route: east along the equator, then west again 20 m further north
+const outAndBack = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 0.01 },
+  { latitude: 0.02 * DEG_PER_KM, longitude: 0.01 },
+  { latitude: 0.02 * DEG_PER_KM, longitude: 0 },
+];
+
+describe('projectOntoSegment', () => {
+  it('projects a point beside the segment onto it', () => {
+    const point = { latitude: 0.05 * DEG_PER_KM, longitude: 0.004 };
+    const projection = projectOntoSegment(point, route[0], route[1]);
+
+    expect(projection.t).toBeCloseTo(0.4, 5);
+    expect(projection.point.longitude).toBeCloseTo(0.004, 8);
+    expect(projection.point.latitude).toBeCloseTo(0, 8);
+    expect(projection.distanceKm).toBeCloseTo(0.05, 3);
+  });
+
+  it('clamps to the start before the segment', () => {
+    const projection = projectOntoSegment({ latitude: 0, longitude: -0.002 }, route[0], route[1]);
+
+    expect(projection.t).toBe(0);
+    expect(projection.point).toEqual(route[0]);
+    expect(projection.distanceKm).toBeCloseTo(calculateDistance(route[0], { latitude: 0, longitude: -0.002 }), 3);
+  });
+
+  it('clamps to the end past the segment', () => {
+    const projection = projectOntoSegment({ latitude: 0, longitude: 0.013 }, route[0], route[1]);
+
+    expect(projection.t).toBe(1);
+    expect(projection.point.longitude).toBeCloseTo(0.01, 8);
+    expect(projection.distanceKm).toBeCloseTo(SEGMENT_KM * 0.3, 3);
+  });
+
+  it('handles a zero-length segment', () => {
+    const projection = projectOntoSegment({ latitude: 0, longitude: 0.001 }, route[0], route[0]);
+
+    expect(projection.t).toBe(0);
+    expect(projection.distanceKm).toBeCloseTo(SEGMENT_KM * 0.1, 3);
+  });
+});
+
+describe('projectOntoRoute', () => {
+  it('matches the closest segment and measures the distance along the route', () => {
+    const match = projectOntoRoute({ latitude: 0.01 * DEG_PER_KM, longitude: 0.015 }, route);
+
+    expect(match.segmentIndex).toBe(1);
+    expect(match.t).toBeCloseTo(0.5, 5);
+    expect(match.distanceAlongKm).toBeCloseTo(SEGMENT_KM * 1.5, 3);
+  });
+
+  it('returns null without a route', () => {
+    expect(projectOntoRoute({ latitude: 0, longitude: 0 }, [])).toBeNull();
+  });
+
+  it('searches forward from fromIndex', () => {
+    // Closer to the outbound leg, but the return leg is the one ahead
+    const point = { latitude: 0.005 * DEG_PER_KM, longitude: 0.005 };
+
+    expect(projectOntoRoute(point, outAndBack).segmentIndex).toBe(0);
+    expect(projectOntoRoute(point, outAndBack, { fromIndex: 2 }).segmentIndex).toBe(2);
+  });
+
+  it('clamps fromIndex to the last segment', () => {
+    const match = projectOntoRoute({ latitude: 0, longitude: 0.025 }, route, { fromIndex: 10 });
+
+    expect(match.segmentIndex).toBe(2);
+  });
+
+  it('only widens a lookahead window when the windowed match is too far', () => {
+    const point = { latitude: 0, longitude: 0.025 };
+
+    // Within the window nothing is close, so the rest of the route is searched
+    expect(projectOntoRoute(point, route, { lookahead: 0, maxSnapKm: 0.1 }).segmentIndex).toBe(2);
+    // Without maxSnapKm the window is all there is
+    expect(projectOntoRoute(point, route, { lookahead: 0 }).segmentIndex).toBe(0);
+  });
+});
+
+describe('remainingDistanceAlongRoute', () => {
+  it('measures from partway along a segment to the end of the route', () => {
+    const remaining = remainingDistanceAlongRoute({ latitude: 0.02 * DEG_PER_KM, longitude: 0.0125 }, route);
+
+    expect(remaining).toBeCloseTo(SEGMENT_KM * 1.75, 3);
+  });
+
+  it('is zero past the end of the route', () => {
+    expect(remainingDistanceAlongRoute({ latitude: 0, longitude: 0.04 }, route)).toBeCloseTo(0, 6);
+  });
+
+  it('is null without a route', () => {
+    expect(remainingDistanceAlongRoute({ latitude: 0, longitude: 0 }, [])).toBeNull();
+  });
+});
+
+describe('hasDeviatedFromRoute', () => {
+  const threshold = 0.05;
+
+  it('is not deviated just inside the threshold', () => {
+    const point = { latitude: 0.049 * DEG_PER_KM, longitude: 0.015 };
+
+    expect(hasDeviatedFromRoute(point, route, threshold)).toBe(false);
+  });
+
+  it('is deviated just outside the threshold', () => {
+    const point = { latitude: 0.051 * DEG_PER_KM, longitude: 0.015 };
+
+    expect(hasDeviatedFromRoute(point, route, threshold)).toBe(true);
+  });
+
+  it('measures to the segment, not just its vertices', () => {
+    // Midway between vertices 1.1 km apart, 30 m off the road
+    const point = { latitude: 0.03 * DEG_PER_KM, longitude: 0.005 };
+
+    expect(hasDeviatedFromRoute(point, route, threshold)).toBe(false);
+  });
+
+  it('never reports a deviation without a route', () => {
+    expect(hasDeviatedFromRoute({ latitude: 1, longitude: 1 }, [], threshold)).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Places Helpers
+ * Google Places autocomplete and details lookups shared by the search fields
+ */
+
+import { GOOGLE_MAPS_API_KEY } from '@env';
+
+const PLACES_URL = 'https://maps.googleapis.com/maps/api/place';
+
+/**
+ * Fetch autocomplete predictions for a search string
+ * Predictions are restricted to Namibia (country code: NA).
+ * @param {string} input - Text typed by the user
+ * @returns {Promise<Array>} Places API predictions (empty on error)
+ */
+export const fetchPlacePredictions = async (input) => {
+  const url = `${PLACES_URL}/autocomplete/json?input=${encodeURIComponent(input)}&components=country:na&key=${GOOGLE_MAPS_API_KEY}`;
+
+  const response = await fetch(url);
+  const data = await response.json();
+  return data.status === 'OK' ? data.predictions : [];
+};
+
+/**
+ * Get coordinates, name and address for a place
+ * @param {string} placeId - Places API place id
+ * @returns {Promise<Object|null>} { latitude, longitude, name, address }, or null if not found
+ */
+export const getPlaceDetails = async (placeId) => {
+  try {
+    const url = `${PLACES_URL}/details/json?place_id=${placeId}&fields=geometry,name,formatted_address&key=${GOOGLE_MAPS_API_KEY}`;
+
+    const response = await fetch(url);
+    const data = await response.json();
+
+    if (data.status === 'OK') {
+      const { geometry, name, formatted_address } = data.result;
+      return {
+        latitude: geometry.location.lat,
+        longitude: geometry.location.lng,
+        name: name,
+        address: formatted_address,
+      };
+    }
+  } catch (error) {
+    console.error('Error fetching place details:', error);
+  }
+  return null;
+};
+
+export default { fetchPlacePredictions, getPlaceDetails };
@@ -0,0 +1,92 @@
+/**
+ * Route Geometry Helpers
+ * Full-resolution route geometry stitched from step polylines, and
+ * Douglas–Peucker simplification for drawing long routes cheaply
+ */
+
+import { projectOntoSegment } from './mapHelpers';
+
+// Below this map span (degrees of latitude) routes are drawn at full resolution
+const FULL_RESOLUTION_MAX_DELTA = 0.05;
+// Simplification tolerance as a fraction of the visible map height (~1 px on a phone)
+const TOLERANCE_PER_VIEWPORT = 1 / 800;
+const KM_PER_DEGREE = (6371 * Math.PI) / 180;
+
+const samePoint = (a, b) => a.latitude === b.latitude && a.longitude === b.longitude;
+
+/**
+ * Stitch step polylines into one route geometry
+ * Steps start where the previous one ended, so shared boundary points are kept once.
+ * @param {Array} steps - Route steps with polyline arrays
+ * @returns {Object} { coordinates, stepIndexByPoint } where stepIndexByPoint[i] is the
+ *   step that the segment starting at coordinates[i] belongs to
+ */
+export const stitchStepGeometry = (steps) => {
+  const coordinates = [];
+  const stepIndexByPoint = [];
+
+  (steps || []).forEach((step, stepIndex) => {
+    (step.polyline || []).forEach((point, pointIndex) => {
+      const last = coordinates[coordinates.length - 1];
+      if (last && samePoint(last, point)) {
+        // The shared point starts this step's first segment
+        if (pointIndex === 0) stepIndexByPoint[stepIndexByPoint.length - 1] = stepIndex;
+        return;
+      }
+      coordinates.push(point);
+      stepIndexByPoint.push(stepIndex);
+    });
+  });
+
+  return { coordinates, stepIndexByPoint };
+};
+
+/**
+ * Simplify a polyline with the Douglas–Peucker algorithm
+ * Iterative, so very long routes don't exhaust the call stack.
+ * @param {Array} coordinates - Array of { latitude, longitude }
+ * @param {number} toleranceKm - Maximum distance a dropped point may lie from the simplified line
+ * @returns {Array} Simplified coordinates (the input itself when nothing can be dropped)
+ */
+export const simplifyPolyline = (coordinates, toleranceKm) => {
+  if (!coordinates || coordinates.length < 3 || !(toleranceKm > 0)) return coordinates;
+
+  const keep = new Uint8Array(coordinates.length);
+  keep[0] = 1;
+  keep[coordinates.length - 1] = 1;
+  const ranges = [[0, coordinates.length - 1]];
+
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const { distanceKm } = projectOntoSegment(coordinates[i], coordinates[first], coordinates[last]);
+      if (distanceKm > maxDistance) {
+        maxDistance = distanceKm;
+        maxIndex = i;
+      }
+    }
+    if (maxIndex !== -1 && maxDistance > toleranceKm) {
+      keep[maxIndex] = 1;
+      ranges.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  const simplified = coordinates.filter((_, i) => keep[i]);
+  return simplified.length === coordinates.length ? coordinates : simplified;
+};
+
+/**
+ * Simplification tolerance for drawing at a given map zoom
+ * Rounded to powers of two so small zoom changes don't re-simplify the route.
+ * @param {number} latitudeDelta - Visible map height in degrees
+ * @returns {number} Tolerance in km (0 = draw at full resolution)
+ */
+export const getRenderToleranceKm = (latitudeDelta) => {
+  if (!latitudeDelta || latitudeDelta < FULL_RESOLUTION_MAX_DELTA) return 0;
+  const roundedDelta = 2 ** Math.round(Math.log2(latitudeDelta));
+  return roundedDelta * KM_PER_DEGREE * TOLERANCE_PER_VIEWPORT;
+};
+
+export default { stitchStepGeometry, simplifyPolyline, getRenderToleranceKm };
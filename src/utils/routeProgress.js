@@ -0,0 +1,127 @@
+/**
+ * Route Progress Model
+ * Where the user is along the active route, shared by everything that draws
+ * or reports journey progress:
+ *
+ *   {
+ *     segmentIndex,        // route segment the user was last matched to
+ *     t,                   // 0..1 position along that segment
+ *     point,               // matched { latitude, longitude } on the route
+ *     distanceAlongKm,     // route distance already travelled
+ *     remainingKm,         // route distance left
+ *     totalKm,             // route length
+ *     percent,             // 0..100 of the route travelled
+ *     distanceFromRouteKm, // how far the last fix was from the route
+ *     onRoute,             // false when the last fix was too far away to match
+ *   }
+ *
+ * Off the route the matched position stays where the user left it.
+ */
+
+import { projectOntoRoute, pointAlongRoute, getBearing, calculateDistance } from './mapHelpers';
+
+// Distance into the next step used for the direction of its maneuver arrow
+const ARROW_HEADING_KM = 0.015;
+// Route distance ahead of the last match that a fix is matched within first; only when
+// nothing that close is found is the rest of the route searched (loops, out-and-back routes)
+const MATCH_WINDOW_KM = 0.5;
+
+/**
+ * Number of segments from `fromIndex` that cover `distanceKm` of route
+ */
+const segmentsWithin = (routeCoordinates, fromIndex, distanceKm) => {
+  let covered = 0;
+  let count = 0;
+  for (let i = fromIndex; i < routeCoordinates.length - 1 && covered < distanceKm; i++) {
+    covered += calculateDistance(routeCoordinates[i], routeCoordinates[i + 1]);
+    count += 1;
+  }
+  return Math.max(1, count);
+};
+
+/**
+ * Progress at a matched route position
+ */
+const progressAt = (match, totalKm, distanceFromRouteKm, onRoute) => {
+  const remainingKm = Math.max(0, totalKm - match.distanceAlongKm);
+  return {
+    segmentIndex: match.segmentIndex,
+    t: match.t,
+    point: match.point,
+    distanceAlongKm: match.distanceAlongKm,
+    remainingKm,
+    totalKm,
+    percent: totalKm > 0 ? Math.max(0, Math.min(100, ((totalKm - remainingKm) / totalKm) * 100)) : 0,
+    distanceFromRouteKm,
+    onRoute,
+  };
+};
+
+/**
+ * Match a location fix to the route and update the progress model
+ * @param {Object} location - { latitude, longitude }
+ * @param {Array} routeCoordinates - Route geometry
+ * @param {Object} options
+ * @param {number} options.totalKm - Route length (polylineLength of the geometry)
+ * @param {number} options.snapKm - Fixes further than this from the route don't move the progress
+ * @param {Object} [options.previous] - Progress from the previous fix; matching searches a window
+ *   ahead of it, and the rest of the route only when no match within snapKm is found there
+ * @returns {Object|null} Route progress, or null without a route
+ */
+export const computeRouteProgress = (location, routeCoordinates, { totalKm, snapKm, previous = null }) => {
+  const fromIndex = previous?.segmentIndex || 0;
+  const match = projectOntoRoute(location, routeCoordinates, {
+    fromIndex,
+    lookahead: segmentsWithin(routeCoordinates, fromIndex, MATCH_WINDOW_KM),
+    maxSnapKm: snapKm,
+  });
+  if (!match) return null;
+
+  if (match.distanceKm <= snapKm) {
+    return progressAt(match, totalKm, match.distanceKm, true);
+  }
+
+  // Too far off to trust the match: keep the last on-route position
+  const start = { segmentIndex: 0, t: 0, point: routeCoordinates[0], distanceAlongKm: 0 };
+  return progressAt(previous || start, totalKm, match.distanceKm, false);
+};
+
+/**
+ * Split the route at the user's matched position
+ * @param {Array} routeCoordinates - Route geometry
+ * @param {Object|null} progress - Route progress
+ * @returns {Object} { traveled, remaining } coordinate arrays that meet at the matched point
+ */
+export const splitRouteAtProgress = (routeCoordinates, progress) => {
+  if (!progress || !routeCoordinates || routeCoordinates.length < 2) {
+    return { traveled: [], remaining: routeCoordinates || [] };
+  }
+  const splitAfter = progress.segmentIndex + 1;
+  return {
+    traveled: [...routeCoordinates.slice(0, splitAfter), progress.point],
+    remaining: [progress.point, ...routeCoordinates.slice(splitAfter)],
+  };
+};
+
+/**
+ * Turn points of the next few maneuvers, with the direction to take at each
+ * @param {Array} steps - Route steps
+ * @param {number} currentStepIndex - Step the user is on
+ * @param {number} count - Maximum number of maneuvers (default: 3)
+ * @returns {Array} [{ stepIndex, coordinate, bearing }]
+ */
+export const getUpcomingManeuvers = (steps, currentStepIndex, count = 3) => {
+  const maneuvers = [];
+  for (let i = currentStepIndex + 1; i < (steps || []).length && maneuvers.length < count; i++) {
+    const step = steps[i];
+    // Carrying straight on doesn't need an arrow
+    if (step.maneuver === 'straight' || !step.polyline || step.polyline.length < 2) continue;
+    const coordinate = step.polyline[0];
+    const bearing = getBearing(coordinate, pointAlongRoute(step.polyline, ARROW_HEADING_KM));
+    if (bearing === null || Number.isNaN(bearing)) continue;
+    maneuvers.push({ stepIndex: i, coordinate, bearing });
+  }
+  return maneuvers;
+};
+
+export default { computeRouteProgress, splitRouteAtProgress, getUpcomingManeuvers };
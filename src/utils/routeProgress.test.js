@@ -0,0 +1,42 @@
+import { computeRouteProgress } from './routeProgress';
+import { polylineLength } from './mapHelpers';
+
+const DEG_PER_KM = 1 / 111.32;
+const at = (eastKm, northKm) => ({ latitude: northKm * DEG_PER_KM, longitude: eastKm * DEG_PER_KM });
+
+// Out-and-back: 2 km east in 100 m segments, then back west 15 m further north
+const outbound = Array.from({ length: 21 }, (_, i) => at(i * 0.1, 0));
+const inbound = Array.from({ length: 21 }, (_, i) => at(2 - i * 0.1, 0.015));
+const route = [...outbound, ...inbound];
+const totalKm = polylineLength(route);
+const snapKm = 0.1;
+
+describe('computeRouteProgress', () => {
+  it('stays on the current pass when a later pass runs closer', () => {
+    const previous = computeRouteProgress(at(0.45, 0), route, { totalKm, snapKm });
+    // Drifted north: closer to the way back, but still near the way out
+    const progress = computeRouteProgress(at(0.5, 0.01), route, { totalKm, snapKm, previous });
+
+    expect(progress.onRoute).toBe(true);
+    expect(progress.segmentIndex).toBe(4);
+    expect(progress.distanceAlongKm).toBeCloseTo(0.5, 2);
+  });
+
+  it('searches the rest of the route when nothing is near the last position', () => {
+    const previous = computeRouteProgress(at(0.2, 0), route, { totalKm, snapKm });
+    // Skipped ahead (e.g. after a tunnel) to 1.5 km along the way out
+    const progress = computeRouteProgress(at(1.5, 0), route, { totalKm, snapKm, previous });
+
+    expect(progress.onRoute).toBe(true);
+    expect(progress.distanceAlongKm).toBeCloseTo(1.5, 2);
+  });
+
+  it('keeps the last on-route position when the fix is off the route', () => {
+    const previous = computeRouteProgress(at(0.3, 0), route, { totalKm, snapKm });
+    const progress = computeRouteProgress(at(0.3, 0.5), route, { totalKm, snapKm, previous });
+
+    expect(progress.onRoute).toBe(false);
+    expect(progress.distanceAlongKm).toBeCloseTo(previous.distanceAlongKm, 6);
+    expect(progress.distanceFromRouteKm).toBeGreaterThan(snapKm);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Demo routing provider
+ * Routes over a small bundled road graph with A*, without any network, when
+ * ROUTING_PROVIDER=demo. Produces the same route model as the online providers,
+ * with generated turn instructions, and flags the result with `info.demo`.
+ *
+ * The bundled graph is a made-up grid of a few streets, not real roads: it is
+ * for trying the app without an API key. It is never used as a fallback for
+ * the real providers. Routes outside it fail with OUTSIDE_DEMO_AREA, and every
+ * demo route carries a warning saying it isn't real.
+ */
+
+import bundledGraph from '../../data/demoRoadGraph.json';
+import { calculateDistance, getBearing, formatDistance, formatDuration } from '../mapHelpers';
+import { stitchStepGeometry } from '../routeGeometry';
+import { loadRoadGraph, findNearestNode, findShortestPath } from './roadGraph';
+import { RoutingError, OUTSIDE_DEMO_AREA } from './routingError';
+
+// Points further than this (km) from any graph node are outside coverage
+const MAX_SNAP_KM = 2;
+// Turns sharper than this (degrees) start a new step even on the same road
+const TURN_THRESHOLD_DEG = 35;
+// Segments shorter than this (km) are too short to measure a turn angle on
+const MIN_BEARING_SEGMENT_KM = 0.001;
+
+// Search settings per travel mode; driving uses each road's speed
+const DEMO_MODES = {
+  driving: { speedKmh: null, respectOneway: true },
+  cycling: { speedKmh: 15, respectOneway: true },
+  walking: { speedKmh: 5, respectOneway: false },
+};
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+let graph = null;
+
+/**
+ * Build the bundled graph on first use
+ * @returns {Object} Graph from loadRoadGraph
+ */
+const getGraph = () => {
+  if (!graph) {
+    graph = loadRoadGraph(bundledGraph);
+    console.log('🗺️ [demo] Loaded road graph:', graph.region, `(${graph.nodes.length} nodes)`);
+  }
+  return graph;
+};
+
+/**
+ * Signed turn angle between two bearings in degrees (-180..180, positive = right)
+ */
+const turnAngle = (fromBearing, toBearing) => ((toBearing - fromBearing + 540) % 360) - 180;
+
+/**
+ * Classify a turn angle as a Directions API maneuver type
+ * @param {number} angle - Signed turn angle in degrees
+ * @returns {string} Maneuver type
+ */
+const toManeuverType = (angle) => {
+  const abs = Math.abs(angle);
+  const side = angle < 0 ? 'left' : 'right';
+  if (abs < 20) return 'straight';
+  if (abs < 45) return `turn-slight-${side}`;
+  if (abs < 135) return `turn-${side}`;
+  if (abs < 170) return `turn-sharp-${side}`;
+  return `uturn-${side}`;
+};
+
+/**
+ * Generate a readable instruction for a step
+ * @param {string} maneuver - Maneuver type
+ * @param {string} name - Road name
+ * @param {number|null} bearing - Initial bearing of the step (only used for the first step)
+ * @param {boolean} isFirst - Whether this is the first step of the leg
+ * @returns {string} Instruction text
+ */
+const buildInstruction = (maneuver, name, bearing, isFirst) => {
+  if (isFirst) {
+    const heading = bearing !== null ? ` ${COMPASS[Math.round(bearing / 45) % 8]}` : '';
+    return `Head${heading}${name ? ` on ${name}` : ''}`;
+  }
+  const road = name ? ` onto ${name}` : '';
+  if (maneuver === 'straight') return `Continue${road || ' straight'}`;
+  if (maneuver.startsWith('uturn')) return `Make a U-turn${road}`;
+  return `Turn ${maneuver.replace('turn-', '').replace('-', ' ')}${road}`;
+};
+
+/**
+ * Turn one leg (start point -> graph path -> end point) into route steps
+ * Consecutive segments are merged into one step until the road name changes
+ * or the route turns by more than TURN_THRESHOLD_DEG. The short access
+ * segments joining the exact points to the graph never start a step.
+ *
+ * @param {Object} from - Leg start { latitude, longitude }
+ * @param {Object} to - Leg end { latitude, longitude }
+ * @param {Array} path - Edges from findShortestPath
+ * @param {Object} modeSettings - Entry from DEMO_MODES
+ * @returns {Array} Steps as { name, maneuver, instruction, polyline, lengthKm, hours }
+ */
+const buildLegSteps = (from, to, path, modeSettings) => {
+  const { nodes } = getGraph();
+  const first = path[0];
+  const last = path[path.length - 1];
+  // Access segments are travelled at the adjoining road's speed
+  const accessSpeed = (edge) => modeSettings.speedKmh || edge?.speedKmh || 30;
+
+  const segments = path.length === 0
+    ? [{ a: from, b: to, speedKmh: accessSpeed(null), name: '', access: true }]
+    : [
+      { a: from, b: nodes[first.from], speedKmh: accessSpeed(first), name: first.name, access: true },
+      ...path.map((edge) => ({ a: nodes[edge.from], b: nodes[edge.to], speedKmh: edge.speedKmh, name: edge.name, access: false })),
+      { a: nodes[last.to], b: to, speedKmh: accessSpeed(last), name: last.name, access: true },
+    ];
+
+  const steps = [];
+  let previousBearing = null;
+
+  segments.forEach(({ a, b, speedKmh, name, access }) => {
+    const lengthKm = calculateDistance(a, b);
+    const hours = lengthKm / speedKmh;
+    const bearing = !access && lengthKm >= MIN_BEARING_SEGMENT_KM ? getBearing(a, b) : null;
+    const angle = bearing !== null && previousBearing !== null ? turnAngle(previousBearing, bearing) : 0;
+    const current = steps[steps.length - 1];
+
+    if (!current || (bearing !== null && (name !== current.name || Math.abs(angle) > TURN_THRESHOLD_DEG))) {
+      steps.push({
+        name,
+        maneuver: current ? toManeuverType(angle) : 'straight',
+        bearing,
+        polyline: [a, b],
+        lengthKm,
+        hours,
+      });
+    } else {
+      current.polyline.push(b);
+      current.lengthKm += lengthKm;
+      current.hours += hours;
+      if (current.bearing === null) current.bearing = bearing;
+    }
+
+    if (bearing !== null) previousBearing = bearing;
+  });
+
+  return steps.map((step, index) => ({
+    ...step,
+    instruction: buildInstruction(step.maneuver, step.name, step.bearing, index === 0),
+  }));
+};
+
+/**
+ * Snap a point to the graph, rejecting points outside coverage
+ * @param {Object} point - { latitude, longitude }
+ * @returns {number} Node index
+ */
+const snapToGraph = (point) => {
+  const nearest = findNearestNode(getGraph(), point);
+  if (!nearest || nearest.distanceKm > MAX_SNAP_KM) {
+    throw new RoutingError(OUTSIDE_DEMO_AREA, `Demo directions only cover ${getGraph().region}`);
+  }
+  return nearest.index;
+};
+
+const demoProvider = {
+  name: 'demo',
+
+  /**
+   * Always available: the graph ships with the app
+   * @returns {boolean}
+   */
+  isConfigured: () => true,
+
+  /**
+   * Name of the area the bundled graph covers
+   * @returns {string}
+   */
+  getCoverageName: () => getGraph().region,
+
+  /**
+   * The bundled graph has no road classes, so nothing can be avoided
+   * @returns {Array} Avoidance keys
+   */
+  getSupportedAvoidances: () => [],
+
+  /**
+   * Calculate a route on the bundled graph
+   * @param {Object} request - See getRoutes in ./index.js
+   * @returns {Promise<Array>} A single normalized route (no alternatives in the demo)
+   */
+  fetchRoutes: async ({ origin, destination, waypoints = [], mode, stopOffset = 0 }) => {
+    const modeSettings = DEMO_MODES[mode];
+    if (!modeSettings) {
+      throw new RoutingError('UNSUPPORTED_MODE', `Demo routing cannot handle travel mode "${mode}"`);
+    }
+
+    const points = [origin, ...waypoints, destination];
+    const nodeIndexes = points.map(snapToGraph);
+
+    const legs = [];
+    const steps = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const path = findShortestPath(getGraph(), nodeIndexes[i], nodeIndexes[i + 1], modeSettings);
+      if (!path) {
+        throw new RoutingError('ZERO_RESULTS', 'No demo route between these points');
+      }
+
+      const legSteps = buildLegSteps(points[i], points[i + 1], path, modeSettings);
+      const stopIndex = stopOffset + i;
+      legs.push({
+        stopIndex,
+        distance: legSteps.reduce((sum, step) => sum + step.lengthKm, 0),
+        duration: legSteps.reduce((sum, step) => sum + step.hours * 60, 0),
+        durationInTraffic: null,
+      });
+
+      legSteps.forEach((step) => {
+        steps.push({
+          instruction: step.instruction,
+          distance: formatDistance(step.lengthKm),
+          duration: formatDuration(step.hours * 60),
+          distanceMeters: Math.round(step.lengthKm * 1000),
+          durationSeconds: Math.round(step.hours * 3600),
+          maneuver: step.maneuver,
+          startLocation: step.polyline[0],
+          endLocation: step.polyline[step.polyline.length - 1],
+          polyline: step.polyline,
+          stopIndex,
+          name: step.name,
+        });
+      });
+    }
+
+    const { coordinates, stepIndexByPoint } = stitchStepGeometry(steps);
+
+    // Like Directions API summaries, name the road that carries most of the route
+    const mainRoad = steps.reduce((best, step) => (!best || step.distanceMeters > best.distanceMeters ? step : best), null);
+
+    const info = {
+      distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+      durationInTraffic: null,
+      summary: mainRoad?.name || '',
+      warnings: [`Demo route on ${getGraph().region}; these are not real roads`],
+      features: { tolls: false, highways: false, ferries: false, unpaved: false },
+      legs,
+      steps: steps.map(({ name, ...step }) => step),
+      stepIndexByPoint,
+      demo: true,
+    };
+
+    return [{ info, coordinates }];
+  },
+};
+
+export default demoProvider;
@@ -0,0 +1,67 @@
+import demoProvider from './demoProvider';
+import { OUTSIDE_DEMO_AREA } from './routingError';
+
+// Corners of the bundled demo grid (see src/data/demoRoadGraph.json)
+const NORTH_WEST = { latitude: -22.561, longitude: 17.0805 };
+const NORTH_EAST = { latitude: -22.561, longitude: 17.0885 };
+const SOUTH_EAST = { latitude: -22.575, longitude: 17.0885 };
+const FAR_AWAY = { latitude: -22.95, longitude: 14.5 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('demoProvider', () => {
+  it('routes on the bundled grid and says the roads are not real', async () => {
+    const [route, ...others] = await demoProvider.fetchRoutes({ origin: NORTH_WEST, destination: SOUTH_EAST, mode: 'driving' });
+    const { info, coordinates } = route;
+
+    expect(others).toHaveLength(0);
+    expect(info.demo).toBe(true);
+    expect(info.warnings[0]).toMatch(/not real roads/);
+    expect(info.legs).toHaveLength(1);
+    expect(info.distance).toBeCloseTo(info.legs[0].distance, 6);
+    expect(info.steps.map((step) => step.maneuver)).toEqual(['straight', 'turn-left']);
+    expect(info.steps[0].instruction).toBe('Head south on Demo Avenue A');
+    expect(coordinates[0]).toEqual(NORTH_WEST);
+    expect(coordinates[coordinates.length - 1]).toEqual(SOUTH_EAST);
+    expect(info.stepIndexByPoint).toHaveLength(coordinates.length);
+  });
+
+  it('drives at road speeds but walks at walking pace', async () => {
+    const request = { origin: NORTH_WEST, destination: SOUTH_EAST };
+    const [driving] = await demoProvider.fetchRoutes({ ...request, mode: 'driving' });
+    const [walking] = await demoProvider.fetchRoutes({ ...request, mode: 'walking' });
+    expect(walking.info.distance).toBeCloseTo(driving.info.distance, 6);
+    expect(walking.info.duration).toBeCloseTo((walking.info.distance / 5) * 60, 6);
+    expect(driving.info.duration).toBeLessThan(walking.info.duration / 5);
+  });
+
+  it('makes one leg per stop, numbered from the stop offset', async () => {
+    const [route] = await demoProvider.fetchRoutes({
+      origin: NORTH_WEST,
+      destination: SOUTH_EAST,
+      waypoints: [NORTH_EAST],
+      mode: 'cycling',
+      stopOffset: 2,
+    });
+    expect(route.info.legs.map((leg) => leg.stopIndex)).toEqual([2, 3]);
+    expect(new Set(route.info.steps.map((step) => step.stopIndex))).toEqual(new Set([2, 3]));
+  });
+
+  it('refuses places outside the grid', async () => {
+    await expect(
+      demoProvider.fetchRoutes({ origin: NORTH_WEST, destination: FAR_AWAY, mode: 'driving' })
+    ).rejects.toMatchObject({ name: 'RoutingError', status: OUTSIDE_DEMO_AREA });
+  });
+
+  it('refuses travel modes it has no settings for', async () => {
+    await expect(
+      demoProvider.fetchRoutes({ origin: NORTH_WEST, destination: SOUTH_EAST, mode: 'transit' })
+    ).rejects.toMatchObject({ status: 'UNSUPPORTED_MODE' });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Provider HTTP helper
+ * Fetches a provider response and tells connectivity failures apart from
+ * everything else: only a request that never reached the server becomes a
+ * NETWORK_ERROR, so parsing bugs and broken responses aren't reported as
+ * "no connection".
+ */
+
+import { RoutingError, NETWORK_ERROR, UNKNOWN_ERROR } from './routingError';
+
+/**
+ * GET a URL and parse its JSON body
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (the AbortError is rethrown as-is)
+ * @returns {Promise<Object>} Parsed body
+ */
+export const fetchJson = async (url, { signal } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new RoutingError(NETWORK_ERROR, error.message);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // The server answered, but not with a directions response (e.g. a proxy or error page)
+    throw new RoutingError(UNKNOWN_ERROR, `Unreadable response (HTTP ${response.status}): ${error.message}`);
+  }
+};
+
+export default fetchJson;
@@ -0,0 +1,63 @@
+import { fetchJson } from './fetchJson';
+import googleProvider from './googleProvider';
+import { toRouteError, describeRouteError, NETWORK_ERROR, UNKNOWN_ERROR } from './routingError';
+
+const REQUEST = {
+  origin: { latitude: -22.57, longitude: 17.08 },
+  destination: { latitude: -22.6, longitude: 17.1 },
+  mode: 'driving',
+};
+
+const respondWith = (body, status = 200) => ({
+  status,
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+});
+
+const originalFetch = global.fetch;
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('fetchJson', () => {
+  it('returns the parsed body', async () => {
+    global.fetch = jest.fn(async () => respondWith({ status: 'OK' }));
+    await expect(fetchJson('https://example.test')).resolves.toEqual({ status: 'OK' });
+  });
+
+  it('reports a request that never reached the server as a network error', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Network request failed');
+    });
+    const error = await fetchJson('https://example.test').catch((e) => e);
+    expect(toRouteError(error)).toEqual({ status: NETWORK_ERROR, message: 'Network request failed' });
+  });
+
+  it('passes cancellation through untouched', async () => {
+    const abort = Object.assign(new Error('Aborted'), { name: 'AbortError' });
+    global.fetch = jest.fn(async () => {
+      throw abort;
+    });
+    await expect(fetchJson('https://example.test')).rejects.toBe(abort);
+  });
+
+  it('reports a body that is not JSON as unknown, not as no connection', async () => {
+    global.fetch = jest.fn(async () => respondWith('<html>Bad gateway</html>', 502));
+    const error = await fetchJson('https://example.test').catch((e) => e);
+    expect(toRouteError(error).status).toBe(UNKNOWN_ERROR);
+    expect(error.message).toMatch(/HTTP 502/);
+  });
+});
+
+describe('toRouteError', () => {
+  it('reports a provider bug on a reachable server as unknown', async () => {
+    // A route without legs makes the parser throw a TypeError
+    global.fetch = jest.fn(async () => respondWith({ status: 'OK', routes: [{ summary: 'A1' }] }));
+    const error = await googleProvider.fetchRoutes(REQUEST).catch((e) => e);
+
+    expect(error).toBeInstanceOf(TypeError);
+    const routeError = toRouteError(error);
+    expect(routeError.status).toBe(UNKNOWN_ERROR);
+    expect(describeRouteError(routeError).title).toBe('Could not calculate route');
+  });
+});
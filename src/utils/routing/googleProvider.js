@@ -0,0 +1,173 @@
+/**
+ * Google Directions routing provider
+ * Requests routes from the Google Directions API and normalizes them into the
+ * route model used across the app (see ./index.js).
+ */
+
+import { GOOGLE_MAPS_API_KEY } from '@env';
+import { decodePolyline } from '../mapHelpers';
+import { stitchStepGeometry } from '../routeGeometry';
+import { getTravelModeConfig } from '../../config/travelModes';
+import { RoutingError } from './routingError';
+import { fetchJson } from './fetchJson';
+
+const DIRECTIONS_URL = 'https://maps.googleapis.com/maps/api/directions/json';
+
+// Avoidance keys -> Directions API `avoid` values (unpaved roads can't be avoided)
+const GOOGLE_AVOID = {
+  tolls: 'tolls',
+  highways: 'highways',
+  ferries: 'ferries',
+};
+
+// Instruction text that reveals a road feature the route uses
+const HIGHWAY_PATTERN = /\b(highway|motorway|freeway|expressway)\b/i;
+const TOLL_PATTERN = /\btoll\b/i;
+const FERRY_PATTERN = /\bferry\b/i;
+
+/**
+ * Build the `waypoints` query parameter for intermediate stops
+ * @param {Array} waypoints - Array of { latitude, longitude }
+ * @returns {string} Query string fragment (empty when there are no waypoints)
+ */
+const buildWaypointsParam = (waypoints) => {
+  if (!waypoints || waypoints.length === 0) return '';
+  return `&waypoints=${waypoints.map((w) => `${w.latitude},${w.longitude}`).join('|')}`;
+};
+
+/**
+ * Build the `avoid` query parameter
+ * @param {Array} avoid - Avoidance keys
+ * @returns {string} Query string fragment (empty when nothing is avoided)
+ */
+const buildAvoidParam = (avoid) => {
+  const values = (avoid || []).map((key) => GOOGLE_AVOID[key]).filter(Boolean);
+  return values.length > 0 ? `&avoid=${values.join('|')}` : '';
+};
+
+/**
+ * Build the time query parameters
+ * The Directions API only honours `arrival_time` for transit; for other modes an
+ * arrive-by trip is requested for now and the leave-by time derived from its duration.
+ * Driving always sends a departure time, which is what enables traffic-aware durations.
+ * @param {string} apiMode - Directions API mode
+ * @param {number|null} departureTime - ms timestamp
+ * @param {number|null} arrivalTime - ms timestamp
+ * @returns {string} Query string fragment
+ */
+const buildTimeParam = (apiMode, departureTime, arrivalTime) => {
+  if (arrivalTime && apiMode === 'transit') return `&arrival_time=${Math.round(arrivalTime / 1000)}`;
+  if (departureTime) return `&departure_time=${Math.round(departureTime / 1000)}`;
+  if (apiMode === 'driving') return '&departure_time=now';
+  return '';
+};
+
+/**
+ * Detect which avoidable road features a route uses, from its warnings and steps
+ * @param {Object} route - Route object from the Directions API response
+ * @returns {Object} { tolls, highways, ferries, unpaved } booleans
+ */
+const detectFeatures = (route) => {
+  const steps = route.legs.flatMap((leg) => leg.steps);
+  const texts = [...(route.warnings || []), ...steps.map((step) => step.html_instructions || '')];
+  return {
+    tolls: texts.some((text) => TOLL_PATTERN.test(text)),
+    highways: steps.some((step) => HIGHWAY_PATTERN.test(step.html_instructions || '')),
+    ferries: steps.some((step) => (step.maneuver || '').startsWith('ferry')) || texts.some((text) => FERRY_PATTERN.test(text)),
+    unpaved: false,
+  };
+};
+
+/**
+ * Convert a Directions API route into the normalized { info, coordinates } route
+ * Each leg ends at a trip stop; `stopOffset` is the index in the stop list of the first leg's stop.
+ * @param {Object} route - Route object from the Directions API response
+ * @param {number} stopOffset - Stop index reached by the first leg (default: 0)
+ * @returns {Object} Parsed route with info (distance, duration, summary, legs, steps) and full-resolution coordinates
+ */
+export const parseGoogleRoute = (route, stopOffset = 0) => {
+  const legs = route.legs.map((leg, legIndex) => ({
+    stopIndex: stopOffset + legIndex,
+    distance: leg.distance.value / 1000, // Convert to km
+    duration: leg.duration.value / 60, // Convert to minutes
+    // Only present for driving requests with a departure time
+    durationInTraffic: leg.duration_in_traffic ? leg.duration_in_traffic.value / 60 : null,
+  }));
+  const hasTraffic = legs.every((leg) => leg.durationInTraffic !== null);
+
+  const steps = route.legs.flatMap((leg, legIndex) =>
+    leg.steps.map((step) => ({
+      instruction: step.html_instructions.replace(/<[^>]*>/g, ''), // Remove HTML tags
+      distance: step.distance.text,
+      duration: step.duration.text,
+      distanceMeters: step.distance.value,
+      durationSeconds: step.duration.value,
+      maneuver: step.maneuver || 'straight',
+      startLocation: { latitude: step.start_location.lat, longitude: step.start_location.lng },
+      endLocation: { latitude: step.end_location.lat, longitude: step.end_location.lng },
+      polyline: decodePolyline(step.polyline?.points),
+      stopIndex: stopOffset + legIndex,
+    }))
+  );
+
+  // The overview polyline is simplified and cuts corners; step polylines are full resolution
+  let { coordinates, stepIndexByPoint } = stitchStepGeometry(steps);
+  if (coordinates.length < 2) {
+    coordinates = decodePolyline(route.overview_polyline.points);
+    stepIndexByPoint = [];
+  }
+
+  // Extract route information
+  const info = {
+    distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+    durationInTraffic: hasTraffic ? legs.reduce((sum, leg) => sum + leg.durationInTraffic, 0) : null,
+    summary: route.summary || '',
+    warnings: route.warnings || [],
+    features: detectFeatures(route),
+    legs,
+    steps,
+    stepIndexByPoint,
+  };
+
+  return { info, coordinates };
+};
+
+const googleProvider = {
+  name: 'google',
+
+  /**
+   * Whether the provider can be used (an API key is configured)
+   * @returns {boolean}
+   */
+  isConfigured: () => !!GOOGLE_MAPS_API_KEY,
+
+  /**
+   * Road features this provider can route around
+   * @returns {Array} Avoidance keys
+   */
+  getSupportedAvoidances: () => Object.keys(GOOGLE_AVOID),
+
+  /**
+   * Fetch candidate routes
+   * @param {Object} request - See getRoutes in ./index.js
+   * @returns {Promise<Array>} Normalized routes, best first
+   */
+  fetchRoutes: async ({ origin, destination, waypoints = [], mode, alternatives = true, avoid = [], departureTime = null, arrivalTime = null, stopOffset = 0, signal }) => {
+    const originStr = `${origin.latitude},${origin.longitude}`;
+    const destStr = `${destination.latitude},${destination.longitude}`;
+    const { apiMode } = getTravelModeConfig(mode);
+
+    const url = `${DIRECTIONS_URL}?origin=${originStr}&destination=${destStr}&key=${GOOGLE_MAPS_API_KEY}&mode=${apiMode}&alternatives=${alternatives ? 'true' : 'false'}${buildWaypointsParam(waypoints)}${buildAvoidParam(avoid)}${buildTimeParam(apiMode, departureTime, arrivalTime)}`;
+
+    const data = await fetchJson(url, { signal });
+
+    if (data.status !== 'OK' || !data.routes || data.routes.length === 0) {
+      throw new RoutingError(data.status || 'UNKNOWN_ERROR', data.error_message);
+    }
+
+    return data.routes.map((route) => parseGoogleRoute(route, stopOffset));
+  },
+};
+
+export default googleProvider;
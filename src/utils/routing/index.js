@@ -0,0 +1,113 @@
+/**
+ * Routing Providers
+ * Entry point for route calculation. Every provider returns the same
+ * normalized route model, which is what `LocationContext.updateRoute` consumes:
+ *
+ *   {
+ *     coordinates: [{ latitude, longitude }],   // full-resolution geometry, stitched from the step polylines
+ *     info: {
+ *       distance,                              // km
+ *       duration,                              // minutes
+ *       durationInTraffic,                     // minutes with current/predicted traffic, or null
+ *       summary,                               // "via" road names
+ *       warnings: [string],                    // provider warnings, shown as-is
+ *       features: { tolls, highways, ferries, unpaved },  // avoidable features the route uses
+ *       unavoidable: [string],                 // requested avoidances the provider couldn't apply
+ *       legs: [{ stopIndex, distance, duration, durationInTraffic }],
+ *       steps: [{ instruction, distance, duration, distanceMeters, durationSeconds,
+ *                 maneuver, startLocation, endLocation, polyline, stopIndex,
+ *                 durationInTrafficSeconds }],    // per-step traffic, only from providers that report it
+ *       stepIndexByPoint: [number],            // step of the segment starting at each coordinate
+ *       demo,                                  // true when calculated on the bundled demo graph
+ *     },
+ *   }
+ *
+ * Providers implement `{ name, isConfigured(), getSupportedAvoidances(mode), fetchRoutes(request) }` and
+ * throw a RoutingError on failure. The `demo` provider routes on a made-up
+ * bundled graph and is only used when selected explicitly.
+ */
+
+import { ROUTING_CONFIG } from '../../config/routing';
+import { ROUTE_AVOIDANCES } from '../../config/routePreferences';
+import googleProvider from './googleProvider';
+import osrmProvider from './osrmProvider';
+import demoProvider from './demoProvider';
+import {
+  RoutingError,
+  toRouteError,
+  describeRouteError,
+  NETWORK_ERROR,
+  UNKNOWN_ERROR,
+  MISSING_API_KEY,
+  OUTSIDE_DEMO_AREA,
+} from './routingError';
+
+const PROVIDERS = {
+  google: googleProvider,
+  osrm: osrmProvider,
+  demo: demoProvider,
+};
+
+/**
+ * Get the routing provider selected in configuration
+ * @returns {Object} Routing provider (falls back to Google for unknown names)
+ */
+export const getRoutingProvider = () => {
+  const provider = PROVIDERS[ROUTING_CONFIG.provider];
+  if (!provider) {
+    console.warn('⚠️ [routing] Unknown provider', ROUTING_CONFIG.provider, '- using google');
+    return googleProvider;
+  }
+  return provider;
+};
+
+/**
+ * Record which requested avoidances the provider that answered couldn't apply
+ */
+const withUnavoidable = (routes, provider, request) => {
+  const supported = provider.getSupportedAvoidances(request.mode);
+  const unavoidable = (request.avoid || []).filter((key) => !supported.includes(key));
+  return routes.map((route) => ({ ...route, info: { ...route.info, unavoidable } }));
+};
+
+/**
+ * Fetch candidate routes from the configured provider
+ * @param {Object} request
+ * @param {Object} request.origin - { latitude, longitude }
+ * @param {Object} request.destination - { latitude, longitude }
+ * @param {Array} [request.waypoints] - Intermediate stops
+ * @param {string} request.mode - Travel mode key (see config/travelModes)
+ * @param {boolean} [request.alternatives] - Ask for alternative routes (default: true)
+ * @param {Array} [request.avoid] - Avoidance keys (see config/routePreferences)
+ * @param {number} [request.departureTime] - Planned departure (ms timestamp); time-independent providers ignore it
+ * @param {number} [request.arrivalTime] - Planned arrival (ms timestamp); time-independent providers ignore it
+ * @param {number} [request.stopOffset] - Stop index reached by the first leg (default: 0)
+ * @param {AbortSignal} [request.signal] - Cancels the network request
+ * @returns {Promise<Array>} Normalized routes, best first
+ */
+export const getRoutes = async (request) => {
+  const provider = getRoutingProvider();
+  return withUnavoidable(await provider.fetchRoutes(request), provider, request);
+};
+
+/**
+ * Warnings to show with a route: avoided features it still uses, avoidances
+ * that couldn't be applied, and the provider's own warnings
+ * @param {Object} info - Route info
+ * @param {Array} avoid - Avoidance keys the user asked for
+ * @returns {Array} Warning strings
+ */
+export const getRouteWarnings = (info, avoid = []) => {
+  if (!info) return [];
+  const used = avoid.filter((key) => info.features?.[key]);
+  const unapplied = (info.unavoidable || []).filter((key) => !used.includes(key));
+  return [
+    ...used.map((key) => ROUTE_AVOIDANCES[key].usedWarning),
+    ...unapplied.map((key) => `${ROUTE_AVOIDANCES[key].label} can't be avoided for this route`),
+    ...(info.warnings || []),
+  ];
+};
+
+export { RoutingError, toRouteError, describeRouteError, NETWORK_ERROR, UNKNOWN_ERROR, MISSING_API_KEY, OUTSIDE_DEMO_AREA };
+
+export default { getRoutingProvider, getRoutes, getRouteWarnings };
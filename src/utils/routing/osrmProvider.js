@@ -0,0 +1,210 @@
+/**
+ * OSRM routing provider
+ * Talks to any OSRM-compatible HTTP server (self-hosted, local, or a
+ * fixture-backed stand-in) and normalizes its responses into the same route
+ * model as the Google provider, including generated turn instructions.
+ */
+
+import { decodePolyline, formatDistance, formatDuration } from '../mapHelpers';
+import { stitchStepGeometry } from '../routeGeometry';
+import { ROUTING_CONFIG } from '../../config/routing';
+import { RoutingError } from './routingError';
+import { fetchJson } from './fetchJson';
+
+// App travel modes -> OSRM profiles. Transit isn't something OSRM can route.
+const OSRM_PROFILES = {
+  driving: 'driving',
+  walking: 'foot',
+  cycling: 'bike',
+};
+
+// Avoidance keys -> OSRM `exclude` classes (car profile only; unpaved isn't a default class)
+const OSRM_EXCLUDE = {
+  tolls: 'toll',
+  highways: 'motorway',
+  ferries: 'ferry',
+};
+
+// OSRM response codes -> Directions API style statuses
+const OSRM_STATUS = {
+  NoRoute: 'ZERO_RESULTS',
+  NoSegment: 'ZERO_RESULTS',
+  InvalidQuery: 'INVALID_REQUEST',
+  InvalidValue: 'INVALID_REQUEST',
+  InvalidUrl: 'INVALID_REQUEST',
+  TooBig: 'INVALID_REQUEST',
+};
+
+/**
+ * Map an OSRM maneuver to the Directions API maneuver vocabulary used for icons
+ * @param {Object} maneuver - OSRM step maneuver ({ type, modifier })
+ * @returns {string} Maneuver type, e.g. "turn-left"
+ */
+const toManeuverType = ({ type, modifier } = {}) => {
+  const side = modifier && modifier.includes('left') ? 'left' : modifier && modifier.includes('right') ? 'right' : null;
+  if (type === 'roundabout' || type === 'rotary' || type === 'roundabout turn') return `roundabout-${side || 'right'}`;
+  if (modifier === 'uturn') return 'uturn-left';
+  if (type === 'merge') return 'merge';
+  if (type === 'fork' && side) return `fork-${side}`;
+  if ((type === 'on ramp' || type === 'off ramp') && side) return `ramp-${side}`;
+  if (!side) return 'straight';
+  if (modifier.startsWith('slight')) return `turn-slight-${side}`;
+  if (modifier.startsWith('sharp')) return `turn-sharp-${side}`;
+  return `turn-${side}`;
+};
+
+/**
+ * Generate a readable instruction for an OSRM step
+ * @param {Object} step - OSRM route step
+ * @returns {string} Instruction text
+ */
+export const buildOsrmInstruction = (step) => {
+  const { type, modifier, exit } = step.maneuver || {};
+  const road = step.name ? ` onto ${step.name}` : '';
+  const direction = modifier ? modifier.replace('uturn', 'U-turn') : '';
+
+  switch (type) {
+    case 'depart':
+      return step.name ? `Head out on ${step.name}` : 'Head out';
+    case 'arrive':
+      return 'Arrive at your destination';
+    case 'roundabout':
+    case 'rotary':
+      return exit ? `At the roundabout, take exit ${exit}${road}` : `Enter the roundabout${road}`;
+    case 'merge':
+      return `Merge${road}`;
+    case 'on ramp':
+      return `Take the ramp${road}`;
+    case 'off ramp':
+      return `Take the exit${road}`;
+    case 'fork':
+      return `Keep ${direction || 'straight'} at the fork${road}`;
+    case 'end of road':
+      return `At the end of the road, turn ${direction}${road}`;
+    case 'new name':
+    case 'continue':
+      return `Continue${road || ' straight'}`;
+    default:
+      if (modifier === 'uturn') return `Make a U-turn${road}`;
+      if (!modifier || modifier === 'straight') return `Continue straight${road}`;
+      return `Turn ${direction}${road}`;
+  }
+};
+
+/**
+ * Detect which avoidable road features a route uses, from its intersection classes
+ * @param {Object} route - Route from an OSRM /route response
+ * @returns {Object} { tolls, highways, ferries, unpaved } booleans
+ */
+const detectFeatures = (route) => {
+  const steps = route.legs.flatMap((leg) => leg.steps || []);
+  const classes = new Set(steps.flatMap((step) => (step.intersections || []).flatMap((i) => i.classes || [])));
+  return {
+    tolls: classes.has('toll'),
+    highways: classes.has('motorway'),
+    ferries: classes.has('ferry') || steps.some((step) => step.mode === 'ferry'),
+    unpaved: classes.has('unpaved'),
+  };
+};
+
+/**
+ * Convert an OSRM route into the normalized { info, coordinates } route
+ * @param {Object} route - Route from an OSRM /route response (polyline step geometries, steps=true)
+ * @param {number} stopOffset - Stop index reached by the first leg (default: 0)
+ * @returns {Object} Parsed route with info (distance, duration, summary, legs, steps) and coordinates
+ */
+export const parseOsrmRoute = (route, stopOffset = 0) => {
+  const legs = route.legs.map((leg, legIndex) => ({
+    stopIndex: stopOffset + legIndex,
+    distance: leg.distance / 1000,
+    duration: leg.duration / 60,
+    durationInTraffic: null, // OSRM durations don't include live traffic
+  }));
+
+  const steps = route.legs.flatMap((leg, legIndex) =>
+    (leg.steps || [])
+      // Arrival is implied by the end of the leg, like in Directions API responses
+      .filter((step) => step.maneuver?.type !== 'arrive')
+      .map((step) => {
+        const polyline = decodePolyline(step.geometry);
+        const [lng, lat] = step.maneuver.location;
+        const end = polyline.length > 0 ? polyline[polyline.length - 1] : { latitude: lat, longitude: lng };
+        return {
+          instruction: buildOsrmInstruction(step),
+          distance: formatDistance(step.distance / 1000),
+          duration: formatDuration(step.duration / 60),
+          distanceMeters: step.distance,
+          durationSeconds: step.duration,
+          maneuver: toManeuverType(step.maneuver),
+          startLocation: { latitude: lat, longitude: lng },
+          endLocation: end,
+          polyline,
+          stopIndex: stopOffset + legIndex,
+        };
+      })
+  );
+
+  // Route geometry comes from the step geometries so every point maps to a step
+  const { coordinates, stepIndexByPoint } = stitchStepGeometry(steps);
+
+  const info = {
+    distance: route.distance / 1000,
+    duration: route.duration / 60,
+    durationInTraffic: null,
+    summary: route.legs.map((leg) => leg.summary).filter(Boolean).join(', '),
+    warnings: [],
+    features: detectFeatures(route),
+    legs,
+    steps,
+    stepIndexByPoint,
+  };
+
+  return { info, coordinates };
+};
+
+const osrmProvider = {
+  name: 'osrm',
+
+  /**
+   * Whether the provider can be used (a server URL is configured)
+   * @returns {boolean}
+   */
+  isConfigured: () => !!ROUTING_CONFIG.osrmBaseUrl,
+
+  /**
+   * Road features this provider can route around
+   * @param {string} mode - Travel mode key
+   * @returns {Array} Avoidance keys
+   */
+  getSupportedAvoidances: (mode) => (mode === 'driving' ? Object.keys(OSRM_EXCLUDE) : []),
+
+  /**
+   * Fetch candidate routes
+   * @param {Object} request - See getRoutes in ./index.js
+   * @returns {Promise<Array>} Normalized routes, best first
+   */
+  fetchRoutes: async ({ origin, destination, waypoints = [], mode, alternatives = true, avoid = [], stopOffset = 0, signal }) => {
+    const profile = OSRM_PROFILES[mode];
+    if (!profile) {
+      throw new RoutingError('UNSUPPORTED_MODE', `OSRM cannot route travel mode "${mode}"`);
+    }
+
+    // OSRM takes lng,lat pairs separated by semicolons
+    const points = [origin, ...waypoints, destination].map((p) => `${p.longitude},${p.latitude}`).join(';');
+    // OSRM only returns alternatives for two-point requests
+    const withAlternatives = alternatives && waypoints.length === 0;
+    const exclude = mode === 'driving' ? avoid.map((key) => OSRM_EXCLUDE[key]).filter(Boolean) : [];
+    const excludeParam = exclude.length > 0 ? `&exclude=${exclude.join(',')}` : '';
+    const url = `${ROUTING_CONFIG.osrmBaseUrl}/route/v1/${profile}/${points}?overview=false&geometries=polyline&steps=true&alternatives=${withAlternatives ? 'true' : 'false'}${excludeParam}`;
+
+    const data = await fetchJson(url, { signal });
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      throw new RoutingError(OSRM_STATUS[data.code] || 'UNKNOWN_ERROR', data.message);
+    }
+
+    return data.routes.map((route) => parseOsrmRoute(route, stopOffset));
+  },
+};
+
+export default osrmProvider;
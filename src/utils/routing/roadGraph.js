@@ -0,0 +1,150 @@
+/**
+ * Road Graph
+ * Compact road network used for demo routing, plus A* search over it.
+ *
+ * Graphs are JSON files (see src/data/demoRoadGraph.json):
+ *
+ *   {
+ *     version: 1,
+ *     region: 'the demo grid',
+ *     names: ['Demo Street 1', ...],              // road names, referenced by index
+ *     nodes: [[latitude, longitude], ...],         // intersections and shape points
+ *     edges: [[from, to, nameIndex, speedKmh, oneway], ...]
+ *   }
+ *
+ * `oneway` is 1 when the edge may only be driven from `from` to `to`.
+ */
+
+import { calculateDistance } from '../mapHelpers';
+
+/**
+ * Build an in-memory graph with adjacency lists from the compact JSON format
+ * Every edge is stored in both directions; the reverse copy of a one-way edge
+ * is flagged `againstOneway` so driving and cycling can skip it.
+ * @param {Object} data - Compact graph
+ * @returns {Object} { region, nodes, adjacency, maxSpeedKmh }
+ */
+export const loadRoadGraph = (data) => {
+  const nodes = data.nodes.map(([latitude, longitude]) => ({ latitude, longitude }));
+  const adjacency = nodes.map(() => []);
+  let maxSpeedKmh = 0;
+
+  data.edges.forEach(([from, to, nameIndex, speedKmh, oneway]) => {
+    const lengthKm = calculateDistance(nodes[from], nodes[to]);
+    const name = data.names[nameIndex] || '';
+    maxSpeedKmh = Math.max(maxSpeedKmh, speedKmh);
+
+    adjacency[from].push({ to, lengthKm, speedKmh, name, againstOneway: false });
+    adjacency[to].push({ to: from, lengthKm, speedKmh, name, againstOneway: !!oneway });
+  });
+
+  return { region: data.region, nodes, adjacency, maxSpeedKmh };
+};
+
+/**
+ * Find the graph node closest to a point
+ * @param {Object} graph - Graph from loadRoadGraph
+ * @param {Object} point - { latitude, longitude }
+ * @returns {Object|null} { index, distanceKm }, or null for an empty graph
+ */
+export const findNearestNode = (graph, point) => {
+  let best = null;
+  graph.nodes.forEach((node, index) => {
+    const distanceKm = calculateDistance(point, node);
+    if (!best || distanceKm < best.distanceKm) best = { index, distanceKm };
+  });
+  return best;
+};
+
+/**
+ * Minimal binary min-heap keyed on `priority`
+ */
+const createQueue = () => {
+  const items = [];
+
+  const push = (item) => {
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  return { push, pop, isEmpty: () => items.length === 0 };
+};
+
+/**
+ * Fastest path between two nodes using A*
+ * The heuristic is the straight-line distance at the graph's top speed (or the
+ * fixed mode speed), which never overestimates and keeps the search optimal.
+ *
+ * @param {Object} graph - Graph from loadRoadGraph
+ * @param {number} start - Start node index
+ * @param {number} goal - Goal node index
+ * @param {Object} [options]
+ * @param {number} [options.speedKmh] - Fixed travel speed (walking/cycling); edge speeds are used when omitted
+ * @param {boolean} [options.respectOneway] - Skip one-way edges in the wrong direction (default: true)
+ * @returns {Array|null} Edges traversed in order ({ from, to, lengthKm, speedKmh, name }), or null if unreachable
+ */
+export const findShortestPath = (graph, start, goal, options = {}) => {
+  const { speedKmh = null, respectOneway = true } = options;
+  const heuristicSpeed = speedKmh || graph.maxSpeedKmh || 1;
+  const heuristic = (index) => calculateDistance(graph.nodes[index], graph.nodes[goal]) / heuristicSpeed;
+
+  const bestHours = new Map([[start, 0]]);
+  const cameFrom = new Map();
+  const closed = new Set();
+  const queue = createQueue();
+  queue.push({ index: start, priority: heuristic(start) });
+
+  while (!queue.isEmpty()) {
+    const { index } = queue.pop();
+    if (index === goal) break;
+    if (closed.has(index)) continue;
+    closed.add(index);
+
+    graph.adjacency[index].forEach((edge) => {
+      if (respectOneway && edge.againstOneway) return;
+      const edgeSpeed = speedKmh || edge.speedKmh;
+      const hours = bestHours.get(index) + edge.lengthKm / edgeSpeed;
+      if (hours >= (bestHours.get(edge.to) ?? Infinity)) return;
+
+      bestHours.set(edge.to, hours);
+      cameFrom.set(edge.to, { from: index, to: edge.to, lengthKm: edge.lengthKm, speedKmh: edgeSpeed, name: edge.name });
+      queue.push({ index: edge.to, priority: hours + heuristic(edge.to) });
+    });
+  }
+
+  if (start !== goal && !cameFrom.has(goal)) return null;
+
+  const path = [];
+  for (let index = goal; index !== start; index = cameFrom.get(index).from) {
+    path.unshift(cameFrom.get(index));
+  }
+  return path;
+};
+
+export default { loadRoadGraph, findNearestNode, findShortestPath };
@@ -0,0 +1,93 @@
+import { loadRoadGraph, findNearestNode, findShortestPath } from './roadGraph';
+
+// A square of four intersections around a park, ~1.1 km a side:
+//
+//   0 --- Slow Lane (20 km/h) --- 1
+//   |                             |
+//   Ring Road (80 km/h)           Ring Road
+//   |                             |
+//   3 ------ Ring Road ---------- 2
+//
+// plus a one-way shortcut from 3 straight to 1 and an island node (4) with no roads.
+const SQUARE = {
+  version: 1,
+  region: 'test square',
+  names: ['Slow Lane', 'Ring Road', 'Shortcut'],
+  nodes: [
+    [0.01, 0],
+    [0.01, 0.01],
+    [0, 0.01],
+    [0, 0],
+    [0.5, 0.5],
+  ],
+  edges: [
+    [0, 1, 0, 20, 0],
+    [1, 2, 1, 80, 0],
+    [2, 3, 1, 80, 0],
+    [3, 0, 1, 80, 0],
+    [3, 1, 2, 80, 1],
+  ],
+};
+
+const names = (path) => path.map((edge) => edge.name);
+const nodesOf = (path) => [path[0].from, ...path.map((edge) => edge.to)];
+
+describe('loadRoadGraph', () => {
+  it('stores every edge both ways and flags the reverse of one-way edges', () => {
+    const graph = loadRoadGraph(SQUARE);
+    expect(graph.nodes).toHaveLength(5);
+    expect(graph.maxSpeedKmh).toBe(80);
+    expect(graph.adjacency[3].find((edge) => edge.to === 1).againstOneway).toBe(false);
+    expect(graph.adjacency[1].find((edge) => edge.to === 3).againstOneway).toBe(true);
+    expect(graph.adjacency[0][0].lengthKm).toBeCloseTo(1.112, 2);
+  });
+});
+
+describe('findNearestNode', () => {
+  it('returns the closest node and its distance', () => {
+    const nearest = findNearestNode(loadRoadGraph(SQUARE), { latitude: 0.0095, longitude: 0.0098 });
+    expect(nearest.index).toBe(1);
+    expect(nearest.distanceKm).toBeLessThan(0.1);
+  });
+
+  it('returns null for an empty graph', () => {
+    expect(findNearestNode(loadRoadGraph({ names: [], nodes: [], edges: [] }), { latitude: 0, longitude: 0 })).toBeNull();
+  });
+});
+
+describe('findShortestPath', () => {
+  const graph = loadRoadGraph(SQUARE);
+
+  it('takes the fastest route by edge speed rather than the shortest', () => {
+    // Slow Lane is one side at 20 km/h; three sides of Ring Road at 80 km/h are quicker
+    const path = findShortestPath(graph, 0, 1, { respectOneway: false });
+    expect(nodesOf(path)).toEqual([0, 3, 1]);
+    expect(names(path)).toEqual(['Ring Road', 'Shortcut']);
+  });
+
+  it('takes the shortest route when every road is travelled at one speed', () => {
+    expect(nodesOf(findShortestPath(graph, 0, 1, { speedKmh: 5, respectOneway: false }))).toEqual([0, 1]);
+  });
+
+  it('keeps to the allowed direction of one-way roads', () => {
+    // 1 -> 3 is against the shortcut, so driving goes round
+    expect(nodesOf(findShortestPath(graph, 1, 3))).toEqual([1, 2, 3]);
+    expect(nodesOf(findShortestPath(graph, 3, 1))).toEqual([3, 1]);
+    // On foot the shortcut works both ways
+    expect(nodesOf(findShortestPath(graph, 1, 3, { speedKmh: 5, respectOneway: false }))).toEqual([1, 3]);
+  });
+
+  it('adds up edge lengths and speeds along the path', () => {
+    const path = findShortestPath(graph, 1, 3);
+    path.forEach((edge) => expect(edge.speedKmh).toBe(80));
+    expect(path.reduce((sum, edge) => sum + edge.lengthKm, 0)).toBeCloseTo(2.224, 2);
+  });
+
+  it('returns null when the goal cannot be reached', () => {
+    expect(findShortestPath(graph, 0, 4)).toBeNull();
+  });
+
+  it('returns an empty path from a node to itself', () => {
+    expect(findShortestPath(graph, 2, 2)).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Route Request Manager
+ * Sits between the UI and getRoutes to keep routing API usage down:
+ * - cancels the in-flight request (AbortController) when a newer one starts
+ * - throttles refetches for the same trip, while its route is on screen, until the
+ *   origin has moved and time has passed
+ * - caches responses keyed on rounded origin/destination/mode (and avoidances) with a TTL
+ */
+
+import { calculateDistance } from '../mapHelpers';
+import { getRoutes } from './index';
+
+// Refetch for the same trip only after moving this far (km) ...
+export const MIN_REFETCH_MOVE_KM = 0.2;
+// ... and after this much time
+export const MIN_REFETCH_INTERVAL_MS = 30000;
+// How long a cached response stays valid
+export const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 20;
+
+// Rounding for cache keys: ~110 m for the (moving) origin, ~11 m for stops
+const ORIGIN_DECIMALS = 3;
+const STOP_DECIMALS = 4;
+
+const roundPoint = (point, decimals) => `${point.latitude.toFixed(decimals)},${point.longitude.toFixed(decimals)}`;
+
+/**
+ * Key identifying the trip being routed, independent of where the user currently is
+ * A planned origin is part of the trip; the live position is not.
+ */
+const buildTripKey = ({ planOrigin, destination, waypoints = [], mode, avoid = [], departureTime, arrivalTime, stopOffset = 0 }) => {
+  // Planned times only matter to the minute
+  const times = [departureTime, arrivalTime].map((t) => (t ? Math.round(t / 60000) : '')).join('/');
+  const from = planOrigin ? roundPoint(planOrigin, STOP_DECIMALS) : 'live';
+  return `${from}>` + [...waypoints, destination].map((p) => roundPoint(p, STOP_DECIMALS)).join('|') + `#${mode}#${avoid.join(',')}#${times}#${stopOffset}`;
+};
+
+/**
+ * Create a route request manager
+ * @param {Object} [options]
+ * @param {Function} [options.fetchRoutes] - Route source (default: getRoutes)
+ * @param {number} [options.minMoveKm] - Minimum origin movement before refetching the same trip
+ * @param {number} [options.minIntervalMs] - Minimum time before refetching the same trip
+ * @param {number} [options.cacheTtlMs] - Cache entry lifetime
+ * @param {Function} [options.now] - Clock (default: Date.now)
+ * @returns {Object} { isThrottled, request, cancel, getStats, resetStats }
+ */
+export const createRouteRequestManager = (options = {}) => {
+  const {
+    fetchRoutes = getRoutes,
+    minMoveKm = MIN_REFETCH_MOVE_KM,
+    minIntervalMs = MIN_REFETCH_INTERVAL_MS,
+    cacheTtlMs = CACHE_TTL_MS,
+    now = Date.now,
+  } = options;
+
+  const cache = new Map();
+  let controller = null;
+  let lastRequest = null;
+  let stats = { network: 0, cacheHits: 0, cancelled: 0 };
+
+  /**
+   * Whether a request should wait: a request for the same trip is still in flight, or
+   * its route is on screen and the origin hasn't moved far enough or not enough time has passed
+   * Once the route has been cleared only an in-flight request holds it back, so the
+   * screen is never left waiting for a route nobody asked for.
+   * @param {Object} params - Route request (see getRoutes), plus `planOrigin` when the trip starts from a chosen place
+   * @param {Object} state
+   * @param {boolean} state.routeShown - Whether a route is currently displayed
+   * @returns {boolean}
+   */
+  const isThrottled = (params, { routeShown }) => {
+    if (!lastRequest || lastRequest.tripKey !== buildTripKey(params)) return false;
+    if (controller) return true;
+    if (!routeShown) return false;
+    const movedKm = calculateDistance(lastRequest.origin, params.origin);
+    return movedKm < minMoveKm || now() - lastRequest.at < minIntervalMs;
+  };
+
+  /**
+   * Fetch routes, from cache when possible, cancelling any request still in flight
+   * @param {Object} params - Route request (see getRoutes), plus `planOrigin` when the trip starts from a chosen place
+   * @returns {Promise<Array|null>} Routes, or null if the request was superseded
+   */
+  const request = async ({ planOrigin, ...params }) => {
+    const tripKey = buildTripKey({ planOrigin, ...params });
+    const cacheKey = `${roundPoint(params.origin, ORIGIN_DECIMALS)}>${tripKey}`;
+    lastRequest = { tripKey, origin: params.origin, at: now() };
+
+    if (controller) {
+      controller.abort();
+      stats.cancelled += 1;
+    }
+    controller = null;
+
+    const cached = cache.get(cacheKey);
+    if (cached && now() - cached.at < cacheTtlMs) {
+      stats.cacheHits += 1;
+      return cached.routes;
+    }
+
+    const ownController = new AbortController();
+    controller = ownController;
+    stats.network += 1;
+
+    try {
+      const routes = await fetchRoutes({ ...params, signal: ownController.signal });
+
+      cache.delete(cacheKey);
+      cache.set(cacheKey, { routes, at: now() });
+      if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+      return routes;
+    } catch (error) {
+      if (ownController.signal.aborted) return null;
+      throw error;
+    } finally {
+      if (controller === ownController) controller = null;
+    }
+  };
+
+  /**
+   * Abort the in-flight request, if any, and forget the last trip so the next
+   * request for it isn't throttled
+   */
+  const cancel = () => {
+    lastRequest = null;
+    if (!controller) return;
+    controller.abort();
+    controller = null;
+    stats.cancelled += 1;
+  };
+
+  const getStats = () => ({ ...stats });
+
+  const resetStats = () => {
+    stats = { network: 0, cacheHits: 0, cancelled: 0 };
+  };
+
+  return { isThrottled, request, cancel, getStats, resetStats };
+};
+
+export default createRouteRequestManager;
@@ -0,0 +1,96 @@
+import { createRouteRequestManager, MIN_REFETCH_INTERVAL_MS } from './routeRequestManager';
+
+const HOME = { latitude: -22.57, longitude: 17.08 };
+const OFFICE = { latitude: -22.55, longitude: 17.09 };
+const STATION = { latitude: -22.56, longitude: 17.07 };
+const DESTINATION = { latitude: -22.6, longitude: 17.1 };
+
+const ROUTES = [{ info: { distance: 4, duration: 9 }, coordinates: [HOME, DESTINATION] }];
+
+/**
+ * Manager with a controllable clock and a fake route source that answers at once
+ * @returns {Object} { manager, fetchRoutes, clock }
+ */
+const createManager = () => {
+  const clock = { now: 1000000 };
+  const fetchRoutes = jest.fn(async () => ROUTES);
+  const manager = createRouteRequestManager({ fetchRoutes, now: () => clock.now });
+  return { manager, fetchRoutes, clock };
+};
+
+const trip = (overrides = {}) => ({
+  origin: HOME,
+  destination: DESTINATION,
+  mode: 'driving',
+  avoid: [],
+  planOrigin: null,
+  ...overrides,
+});
+
+describe('createRouteRequestManager', () => {
+  it('throttles the same trip while its route is on screen', async () => {
+    const { manager, clock } = createManager();
+    await manager.request(trip());
+    clock.now += 1000;
+
+    expect(manager.isThrottled(trip(), { routeShown: true })).toBe(true);
+    // Far enough and long enough later, the same trip is fetched again
+    clock.now += MIN_REFETCH_INTERVAL_MS;
+    expect(manager.isThrottled(trip({ origin: OFFICE }), { routeShown: true })).toBe(false);
+  });
+
+  it('never throttles once the route has been cleared, so picking the same destination again fetches it', async () => {
+    const { manager, fetchRoutes, clock } = createManager();
+    await manager.request(trip());
+    clock.now += 1000;
+
+    // Choosing the same destination again clears the route and shows "Calculating route..."
+    // Skipping the fetch here used to leave that state up for good
+    expect(manager.isThrottled(trip(), { routeShown: false })).toBe(false);
+    await manager.request(trip());
+    expect(fetchRoutes).toHaveBeenCalledTimes(1); // Answered from the cache
+  });
+
+  it('treats a new planned origin as a new trip', async () => {
+    const { manager, fetchRoutes, clock } = createManager();
+    await manager.request(trip({ origin: STATION, planOrigin: STATION }));
+    clock.now += 1000;
+
+    // Re-planning from another place within the interval, route still on screen
+    const replanned = trip({ origin: OFFICE, planOrigin: OFFICE });
+    expect(manager.isThrottled(replanned, { routeShown: true })).toBe(false);
+    await manager.request(replanned);
+    expect(fetchRoutes).toHaveBeenCalledTimes(2);
+    expect(fetchRoutes.mock.calls[1][0].origin).toBe(OFFICE);
+
+    // Clearing the plan goes back to the live position, also a new trip
+    expect(manager.isThrottled(trip({ origin: OFFICE }), { routeShown: true })).toBe(false);
+  });
+
+  it('does not pass the planned origin on to the route source', async () => {
+    const { manager, fetchRoutes } = createManager();
+    await manager.request(trip({ origin: STATION, planOrigin: STATION }));
+    expect(fetchRoutes.mock.calls[0][0]).not.toHaveProperty('planOrigin');
+  });
+
+  it('holds back repeats of a trip whose request is still in flight', async () => {
+    let answer;
+    const fetchRoutes = jest.fn(() => new Promise((resolve) => { answer = resolve; }));
+    const manager = createRouteRequestManager({ fetchRoutes });
+
+    const pending = manager.request(trip());
+    expect(manager.isThrottled(trip({ origin: OFFICE }), { routeShown: false })).toBe(true);
+    expect(manager.isThrottled(trip({ destination: STATION }), { routeShown: false })).toBe(false);
+
+    answer(ROUTES);
+    await expect(pending).resolves.toBe(ROUTES);
+    expect(manager.isThrottled(trip(), { routeShown: false })).toBe(false);
+  });
+
+  it('forgets the last trip on cancel', async () => {
+    const { manager } = createManager();
+    await manager.request(trip());
+    manager.cancel();
+    expect(manager.isThrottled(trip(), { routeShown: true })).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Error thrown by routing providers
+ * `status` uses Directions API style codes (e.g. ZERO_RESULTS, REQUEST_DENIED)
+ * so callers can handle every provider the same way.
+ */
+export class RoutingError extends Error {
+  /**
+   * @param {string} status - Status code describing the failure
+   * @param {string} [message] - Human-readable detail
+   */
+  constructor(status, message) {
+    super(message || status);
+    this.name = 'RoutingError';
+    this.status = status;
+  }
+}
+
+// App-level statuses alongside the Directions API ones
+export const NETWORK_ERROR = 'NETWORK_ERROR';
+export const UNKNOWN_ERROR = 'UNKNOWN_ERROR';
+export const MISSING_API_KEY = 'MISSING_API_KEY';
+export const OUTSIDE_DEMO_AREA = 'OUTSIDE_DEMO_AREA';
+
+/**
+ * Reduce any routing failure to the { status, message } stored in context
+ * Providers report connectivity failures as NETWORK_ERROR themselves (see fetchJson);
+ * any other error is a defect or an unexpected response, not a connection problem.
+ * @param {Error} error - Error from getRoutes
+ * @returns {Object} { status, message }
+ */
+export const toRouteError = (error) => ({
+  status: error instanceof RoutingError ? error.status : UNKNOWN_ERROR,
+  message: error?.message || '',
+});
+
+// User-facing copy and recovery options per status
+const ROUTE_ERROR_DETAILS = {
+  ZERO_RESULTS: {
+    icon: 'git-branch-outline',
+    title: 'No route found',
+    message: 'There is no route between these places for this travel mode.',
+    canRetry: false,
+    suggestOtherMode: true,
+  },
+  UNSUPPORTED_MODE: {
+    icon: 'git-branch-outline',
+    title: 'Travel mode not available',
+    message: 'Directions for this travel mode are not available here.',
+    canRetry: false,
+    suggestOtherMode: true,
+  },
+  NOT_FOUND: {
+    icon: 'location-outline',
+    title: 'Place not found',
+    message: 'One of the places on this trip could not be located. Try choosing it again.',
+    canRetry: false,
+    suggestOtherMode: false,
+  },
+  OVER_QUERY_LIMIT: {
+    icon: 'hourglass-outline',
+    title: 'Too many requests',
+    message: 'The directions service is busy. Wait a moment and try again.',
+    canRetry: true,
+    suggestOtherMode: false,
+  },
+  REQUEST_DENIED: {
+    icon: 'key-outline',
+    title: 'Directions request denied',
+    message: 'The API key was rejected. Check that GOOGLE_MAPS_API_KEY is valid and the Directions API is enabled for it.',
+    canRetry: true,
+    suggestOtherMode: false,
+  },
+  INVALID_REQUEST: {
+    icon: 'alert-circle-outline',
+    title: 'Route request not valid',
+    message: 'This trip could not be requested. Try changing the stops or travel mode.',
+    canRetry: false,
+    suggestOtherMode: true,
+  },
+  [NETWORK_ERROR]: {
+    icon: 'cloud-offline-outline',
+    title: 'No connection',
+    message: 'Could not reach the directions service. Check your connection and try again.',
+    canRetry: true,
+    suggestOtherMode: false,
+  },
+  [OUTSIDE_DEMO_AREA]: {
+    icon: 'map-outline',
+    title: 'Outside the demo area',
+    message: 'Demo mode only routes on a small made-up street grid near central Windhoek. Set ROUTING_PROVIDER to google or osrm for real directions.',
+    canRetry: false,
+    suggestOtherMode: false,
+  },
+  [MISSING_API_KEY]: {
+    icon: 'key-outline',
+    title: 'Directions not configured',
+    message: 'Add GOOGLE_MAPS_API_KEY to your .env file and restart the app, or set ROUTING_PROVIDER=osrm to use an OSRM server.',
+    canRetry: false,
+    suggestOtherMode: false,
+  },
+};
+
+const UNKNOWN_ROUTE_ERROR = {
+  icon: 'alert-circle-outline',
+  title: 'Could not calculate route',
+  message: 'Something went wrong while calculating the route. Please try again.',
+  canRetry: true,
+  suggestOtherMode: false,
+};
+
+/**
+ * Get the user-facing description of a route error
+ * @param {Object} routeError - { status, message } from toRouteError
+ * @returns {Object} { icon, title, message, canRetry, suggestOtherMode }
+ */
+export const describeRouteError = (routeError) =>
+  ROUTE_ERROR_DETAILS[routeError?.status] || UNKNOWN_ROUTE_ERROR;
+
+export default RoutingError;
@@ -0,0 +1,54 @@
+/**
+ * Speech
+ * Swappable text-to-speech engine used by voice guidance. The default engine
+ * wraps expo-speech; tests or alternative engines can replace it with
+ * `setSpeechEngine({ speak, stop })`.
+ */
+
+import * as Speech from 'expo-speech';
+
+const expoSpeechEngine = {
+  speak: (text) => {
+    Speech.speak(text, { language: 'en', rate: 1.0 });
+  },
+  stop: () => {
+    Speech.stop();
+  },
+};
+
+let engine = expoSpeechEngine;
+
+/**
+ * Replace the active speech engine
+ * @param {Object|null} next - Engine with `speak(text)` and `stop()`; null restores the default
+ */
+export const setSpeechEngine = (next) => {
+  engine = next || expoSpeechEngine;
+};
+
+/**
+ * Speak a sentence, interrupting anything still being spoken
+ * @param {string} text - Text to speak
+ */
+export const speak = (text) => {
+  if (!text) return;
+  try {
+    engine.stop();
+    engine.speak(text);
+  } catch (err) {
+    console.warn('⚠️ [speech] speak failed', err?.message || err);
+  }
+};
+
+/**
+ * Stop any ongoing speech
+ */
+export const stopSpeaking = () => {
+  try {
+    engine.stop();
+  } catch (err) {
+    console.warn('⚠️ [speech] stop failed', err?.message || err);
+  }
+};
+
+export default { setSpeechEngine, speak, stopSpeaking };
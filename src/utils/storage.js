@@ -12,6 +12,9 @@ import { emit } from './eventBus';
 
 const SEARCH_KEY = 'routeme_search_history_v1';
 const STORAGE_CAP = 50; // max entries to keep (non-favorites may be evicted)
+const ROUTE_PREFERENCES_KEY = 'routeme_route_preferences_v1';
+const MAP_VIEWPORT_KEY = 'routeme_map_viewport_v1';
+const BACKGROUND_NOTICE_KEY = 'routeme_background_notice_v1';
 
 // Use global.RoutemeAsyncStorage if user wired it; otherwise fallback to in-memory.
 const getAsyncStorage = () => {
@@ -213,4 +216,87 @@ export const notifySearchHistoryChanged = () => {
   try { emit('searchHistoryChanged'); } catch (e) {}
 };
 
-export default { loadSearchHistory, saveSearchEntry, clearSearchHistory, removeSearchEntry, toggleFavorite, loadFavorites };
+export const loadRoutePreferences = async () => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    const raw = AsyncStorage ? await AsyncStorage.getItem(ROUTE_PREFERENCES_KEY) : await memGetItem(ROUTE_PREFERENCES_KEY);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn('⚠️ [storage] loadRoutePreferences failed', err?.message || err);
+    return null;
+  }
+};
+
+export const saveRoutePreferences = async (preferences) => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    const raw = JSON.stringify(preferences);
+    if (AsyncStorage) await AsyncStorage.setItem(ROUTE_PREFERENCES_KEY, raw);
+    else await memSetItem(ROUTE_PREFERENCES_KEY, raw);
+  } catch (err) {
+    console.warn('⚠️ [storage] saveRoutePreferences failed', err?.message || err);
+  }
+};
+
+// Last map region ({ latitude, longitude, latitudeDelta, longitudeDelta }) so the next start opens there
+export const loadMapViewport = async () => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    const raw = AsyncStorage ? await AsyncStorage.getItem(MAP_VIEWPORT_KEY) : await memGetItem(MAP_VIEWPORT_KEY);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn('⚠️ [storage] loadMapViewport failed', err?.message || err);
+    return null;
+  }
+};
+
+export const saveMapViewport = async (region) => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    const { latitude, longitude, latitudeDelta, longitudeDelta } = region;
+    const raw = JSON.stringify({ latitude, longitude, latitudeDelta, longitudeDelta });
+    if (AsyncStorage) await AsyncStorage.setItem(MAP_VIEWPORT_KEY, raw);
+    else await memSetItem(MAP_VIEWPORT_KEY, raw);
+  } catch (err) {
+    console.warn('⚠️ [storage] saveMapViewport failed', err?.message || err);
+  }
+};
+
+// Whether the user has been told once that background location is off
+export const loadBackgroundNoticeShown = async () => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    const raw = AsyncStorage ? await AsyncStorage.getItem(BACKGROUND_NOTICE_KEY) : await memGetItem(BACKGROUND_NOTICE_KEY);
+    return raw === 'true';
+  } catch (err) {
+    console.warn('⚠️ [storage] loadBackgroundNoticeShown failed', err?.message || err);
+    return false;
+  }
+};
+
+export const saveBackgroundNoticeShown = async () => {
+  const AsyncStorage = getAsyncStorage();
+  try {
+    if (AsyncStorage) await AsyncStorage.setItem(BACKGROUND_NOTICE_KEY, 'true');
+    else await memSetItem(BACKGROUND_NOTICE_KEY, 'true');
+  } catch (err) {
+    console.warn('⚠️ [storage] saveBackgroundNoticeShown failed', err?.message || err);
+  }
+};
+
+export default {
+  loadSearchHistory,
+  saveSearchEntry,
+  clearSearchHistory,
+  removeSearchEntry,
+  toggleFavorite,
+  loadFavorites,
+  loadRoutePreferences,
+  saveRoutePreferences,
+  loadMapViewport,
+  saveMapViewport,
+  loadBackgroundNoticeShown,
+  saveBackgroundNoticeShown,
+};
@@ -0,0 +1,93 @@
+/**
+ * Traffic Helpers
+ * Congestion levels for coloring the route, graded from the ratio of
+ * traffic-adjusted to typical duration, so a slow street without traffic is not
+ * congestion. Steps that carry their own traffic duration are graded one by one;
+ * the others take the level of their leg.
+ */
+
+// Traffic-adjusted duration relative to typical; from these ratios a leg counts as slow / heavy
+const CONGESTION_RATIOS = {
+  slow: 1.15,
+  heavy: 1.5,
+};
+
+export const CONGESTION_COLORS = {
+  free: '#34A853',
+  slow: '#F9A825',
+  heavy: '#E53935',
+};
+
+/**
+ * Ratio of traffic-adjusted to typical duration for a step
+ * @param {Object} step - Route step ({ durationSeconds, durationInTrafficSeconds })
+ * @returns {number|null} Ratio, or null when the step has no traffic data of its own
+ */
+export const getStepTrafficRatio = (step) =>
+  Number.isFinite(step?.durationInTrafficSeconds) && step.durationSeconds > 0
+    ? step.durationInTrafficSeconds / step.durationSeconds
+    : null;
+
+/**
+ * Ratio of traffic-adjusted to typical duration for a leg
+ * @param {Object} leg - Route leg ({ duration, durationInTraffic } in minutes)
+ * @returns {number} Ratio (1 when no traffic data)
+ */
+export const getTrafficRatio = (leg) =>
+  leg?.durationInTraffic && leg.duration > 0 ? leg.durationInTraffic / leg.duration : 1;
+
+/**
+ * Classify a traffic ratio as a congestion level
+ * @param {number} ratio - From getTrafficRatio
+ * @returns {string} 'free', 'slow' or 'heavy'
+ */
+export const getCongestionLevel = (ratio) => {
+  if (ratio < CONGESTION_RATIOS.slow) return 'free';
+  if (ratio < CONGESTION_RATIOS.heavy) return 'slow';
+  return 'heavy';
+};
+
+/**
+ * How finely the route's traffic is known
+ * @param {Object} info - Route info
+ * @returns {string|null} 'step' when every step has its own traffic data, 'leg' when
+ *   some steps only have their leg's, null when the route has no traffic data
+ */
+export const getCongestionBasis = (info) => {
+  const steps = info?.steps || [];
+  if (steps.length > 0 && steps.every((step) => getStepTrafficRatio(step) !== null)) return 'step';
+  return info?.durationInTraffic ? 'leg' : null;
+};
+
+/**
+ * Split a route into colored runs by congestion level
+ * Each step is graded by its own traffic ratio when it has one, otherwise by its
+ * leg's. Consecutive steps with the same level are merged into one run.
+ * @param {Object} info - Route info with legs (durationInTraffic) and steps
+ *   (polyline, stopIndex, optional durationInTrafficSeconds)
+ * @returns {Array} [{ level, color, coordinates }], empty when the route has no traffic data
+ */
+export const buildCongestionSegments = (info) => {
+  if (!getCongestionBasis(info)) return [];
+
+  const legLevels = new Map((info.legs || []).map((leg) => [leg.stopIndex, getCongestionLevel(getTrafficRatio(leg))]));
+  const segments = [];
+
+  info.steps.forEach((step) => {
+    if (!step.polyline || step.polyline.length < 2) return;
+    const stepRatio = getStepTrafficRatio(step);
+    const level = stepRatio !== null ? getCongestionLevel(stepRatio) : legLevels.get(step.stopIndex) || 'free';
+    const last = segments[segments.length - 1];
+    if (last && last.level === level) {
+      // Steps share their boundary point
+      last.coordinates.push(...step.polyline.slice(1));
+    } else {
+      // A step starts where the previous one ended, so the colored runs join up
+      segments.push({ level, color: CONGESTION_COLORS[level], coordinates: [...step.polyline] });
+    }
+  });
+
+  return segments;
+};
+
+export default { getTrafficRatio, getStepTrafficRatio, getCongestionLevel, getCongestionBasis, buildCongestionSegments };
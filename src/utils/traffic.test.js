@@ -0,0 +1,88 @@
+import { getCongestionLevel, getCongestionBasis, buildCongestionSegments } from './traffic';
+
+const step = (stopIndex, from, to) => ({
+  stopIndex,
+  distanceMeters: 300,
+  durationSeconds: 60, // 18 km/h: a slow street, but not congestion by itself
+  polyline: [{ latitude: 0, longitude: from }, { latitude: 0, longitude: to }],
+});
+
+describe('getCongestionLevel', () => {
+  it('grades the traffic ratio, not the speed', () => {
+    expect(getCongestionLevel(1)).toBe('free');
+    expect(getCongestionLevel(1.2)).toBe('slow');
+    expect(getCongestionLevel(1.8)).toBe('heavy');
+  });
+});
+
+describe('buildCongestionSegments', () => {
+  it('returns nothing without traffic data', () => {
+    expect(buildCongestionSegments({ steps: [step(0, 0, 1)], legs: [{ stopIndex: 0, duration: 10 }] })).toEqual([]);
+  });
+
+  it('colors slow streets without traffic as free flowing', () => {
+    const info = {
+      durationInTraffic: 10,
+      legs: [{ stopIndex: 0, duration: 10, durationInTraffic: 10 }],
+      steps: [step(0, 0, 1), step(0, 1, 2)],
+    };
+
+    const segments = buildCongestionSegments(info);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].level).toBe('free');
+    expect(segments[0].coordinates).toHaveLength(3);
+  });
+
+  it('colors each leg as a whole by its own ratio', () => {
+    const info = {
+      durationInTraffic: 30,
+      legs: [
+        { stopIndex: 0, duration: 10, durationInTraffic: 10 },
+        { stopIndex: 1, duration: 10, durationInTraffic: 20 },
+      ],
+      steps: [step(0, 0, 1), step(0, 1, 2), step(1, 2, 3), step(1, 3, 4)],
+    };
+
+    const segments = buildCongestionSegments(info);
+
+    expect(segments.map((segment) => segment.level)).toEqual(['free', 'heavy']);
+    expect(segments[1].coordinates[0]).toEqual({ latitude: 0, longitude: 2 });
+  });
+
+  it('grades steps that carry their own traffic one by one', () => {
+    const withTraffic = (s, inTrafficSeconds) => ({ ...s, durationInTrafficSeconds: inTrafficSeconds });
+    const info = {
+      durationInTraffic: 5,
+      legs: [{ stopIndex: 0, duration: 4, durationInTraffic: 5 }],
+      steps: [
+        withTraffic(step(0, 0, 1), 60),
+        withTraffic(step(0, 1, 2), 80),
+        withTraffic(step(0, 2, 3), 120),
+        withTraffic(step(0, 3, 4), 60),
+      ],
+    };
+
+    expect(getCongestionBasis(info)).toBe('step');
+    expect(buildCongestionSegments(info).map((segment) => segment.level)).toEqual(['free', 'slow', 'heavy', 'free']);
+  });
+
+  it('falls back to the leg level for steps without their own traffic', () => {
+    const info = {
+      durationInTraffic: 25,
+      legs: [{ stopIndex: 0, duration: 20, durationInTraffic: 25 }],
+      steps: [{ ...step(0, 0, 1), durationInTrafficSeconds: 200 }, step(0, 1, 2)],
+    };
+
+    expect(getCongestionBasis(info)).toBe('leg');
+    expect(buildCongestionSegments(info).map((segment) => segment.level)).toEqual(['heavy', 'slow']);
+  });
+});
+
+describe('getCongestionBasis', () => {
+  it('says how finely traffic is known', () => {
+    expect(getCongestionBasis(null)).toBeNull();
+    expect(getCongestionBasis({ steps: [step(0, 0, 1)], legs: [] })).toBeNull();
+    expect(getCongestionBasis({ durationInTraffic: 10, steps: [step(0, 0, 1)], legs: [] })).toBe('leg');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Trip Planning Helpers
+ * Departure/arrival time handling for trips planned ahead of time
+ */
+
+import { formatClockTime } from './eta';
+
+// 'now' follows the live position; 'depart' and 'arrive' plan around a chosen time
+export const TRIP_TIME_MODES = ['now', 'depart', 'arrive'];
+
+export const TRIP_TIME_MODE_LABELS = {
+  now: 'Leave now',
+  depart: 'Depart at',
+  arrive: 'Arrive by',
+};
+
+// Planned times move in steps of this size
+export const PLAN_TIME_STEP_MS = 15 * 60 * 1000;
+
+export const DEFAULT_TRIP_PLAN = {
+  origin: null, // null = live GPS position
+  timeMode: 'now',
+  time: null, // ms timestamp for 'depart' / 'arrive'
+};
+
+/**
+ * Whether a plan differs from "from here, right now"
+ * @param {Object} plan - Trip plan
+ * @returns {boolean}
+ */
+export const isPlannedTrip = (plan) => !!plan && (!!plan.origin || plan.timeMode !== 'now');
+
+/**
+ * Round a time up to the next planning step
+ * @param {number} time - ms timestamp
+ * @returns {number} ms timestamp
+ */
+export const roundUpToStep = (time) => Math.ceil(time / PLAN_TIME_STEP_MS) * PLAN_TIME_STEP_MS;
+
+/**
+ * Planned time for a value chosen in the date/time picker
+ * Drops seconds and moves times in the past up to the current minute.
+ * @param {Date} date - Picked date and time
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number} ms timestamp
+ */
+export const toPlanTime = (date, now = Date.now()) =>
+  Math.max(Math.floor(date.getTime() / 60000) * 60000, Math.ceil(now / 60000) * 60000);
+
+/**
+ * Routing request times for a plan
+ * Times in the past are treated as "now", which is all the providers accept.
+ * @param {Object} plan - Trip plan
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object} { departureTime, arrivalTime } ms timestamps (null when not set)
+ */
+export const getPlanRequestTimes = (plan, now = Date.now()) => {
+  if (!plan || plan.timeMode === 'now' || !plan.time) return { departureTime: null, arrivalTime: null };
+  const time = Math.max(plan.time, now);
+  return plan.timeMode === 'depart'
+    ? { departureTime: time, arrivalTime: null }
+    : { departureTime: null, arrivalTime: time };
+};
+
+/**
+ * Recommended leave-by and expected arrival times for a route
+ * @param {Object} plan - Trip plan
+ * @param {number} durationMin - Route duration in minutes
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object} { leaveAt, arriveAt } ms timestamps
+ */
+export const getTripTiming = (plan, durationMin, now = Date.now()) => {
+  const durationMs = (durationMin || 0) * 60000;
+  const { departureTime, arrivalTime } = getPlanRequestTimes(plan, now);
+  if (arrivalTime) return { leaveAt: arrivalTime - durationMs, arriveAt: arrivalTime };
+  const leaveAt = departureTime || now;
+  return { leaveAt, arriveAt: leaveAt + durationMs };
+};
+
+/**
+ * Format a planned time with a day label, e.g. "Today 14:30", "Tue 09:15" or,
+ * from six days ahead (where weekdays start to repeat), "Tue 12 Mar 09:15"
+ * @param {number} time - ms timestamp
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {string}
+ */
+export const formatPlanTime = (time, now = Date.now()) => {
+  const date = new Date(time);
+  const today = new Date(now);
+  const tomorrow = new Date(now + 24 * 60 * 60 * 1000);
+  const sameDay = (a, b) => a.toDateString() === b.toDateString();
+
+  let day;
+  if (sameDay(date, today)) day = 'Today';
+  else if (sameDay(date, tomorrow)) day = 'Tomorrow';
+  else day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getDay()];
+  if (time - now >= 6 * 24 * 60 * 60 * 1000) {
+    const month = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][date.getMonth()];
+    day = `${day} ${date.getDate()} ${month}`;
+  }
+  return `${day} ${formatClockTime(date)}`;
+};
+
+export default {
+  isPlannedTrip,
+  roundUpToStep,
+  toPlanTime,
+  getPlanRequestTimes,
+  getTripTiming,
+  formatPlanTime,
+};
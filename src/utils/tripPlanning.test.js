@@ -0,0 +1,26 @@
+import { toPlanTime, formatPlanTime } from './tripPlanning';
+
+// Wednesday 6 March 2024, 10:00:30 local time
+const NOW = new Date(2024, 2, 6, 10, 0, 30).getTime();
+
+describe('toPlanTime', () => {
+  it('drops the seconds of a picked time', () => {
+    expect(toPlanTime(new Date(2024, 2, 6, 14, 35, 42), NOW)).toBe(new Date(2024, 2, 6, 14, 35).getTime());
+  });
+
+  it('moves a time in the past up to the current minute', () => {
+    expect(toPlanTime(new Date(2024, 2, 6, 9, 0), NOW)).toBe(new Date(2024, 2, 6, 10, 1).getTime());
+  });
+});
+
+describe('formatPlanTime', () => {
+  it('labels today and tomorrow', () => {
+    expect(formatPlanTime(new Date(2024, 2, 6, 14, 30).getTime(), NOW)).toMatch(/^Today /);
+    expect(formatPlanTime(new Date(2024, 2, 7, 9, 15).getTime(), NOW)).toMatch(/^Tomorrow /);
+  });
+
+  it('uses the weekday within the week and adds the date further ahead', () => {
+    expect(formatPlanTime(new Date(2024, 2, 9, 9, 15).getTime(), NOW)).toMatch(/^Sat /);
+    expect(formatPlanTime(new Date(2024, 2, 19, 9, 15).getTime(), NOW)).toMatch(/^Tue 19 Mar /);
+  });
+});
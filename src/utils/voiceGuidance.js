@@ -0,0 +1,139 @@
+/**
+ * Voice Guidance Scheduler
+ * Pure helpers that decide what to announce and when, based on the user's
+ * position along the route. No speech engine or React dependencies, so the
+ * logic can be exercised with plain data.
+ *
+ * Announcement state is a plain object mapping maneuver step index to the
+ * index of the most urgent stage already announced for it, e.g. `{ 3: 1 }`.
+ */
+
+// Distance thresholds (meters) for the "in X meters" announcements, largest first
+export const DEFAULT_ANNOUNCEMENT_THRESHOLDS_M = [500, 150];
+
+// Within this distance (meters) of a maneuver the instruction is given as "now"
+export const NOW_THRESHOLD_M = 30;
+
+/**
+ * Round a distance to something natural to say out loud
+ * @param {number} meters - Distance in meters
+ * @returns {string} Spoken distance, e.g. "150 meters" or "1.5 kilometers"
+ */
+export const formatSpokenDistance = (meters) => {
+  if (meters >= 1000) {
+    const km = Math.round(meters / 100) / 10;
+    return `${km} kilometer${km === 1 ? '' : 's'}`;
+  }
+  const rounded = meters >= 100 ? Math.round(meters / 50) * 50 : Math.max(10, Math.round(meters / 10) * 10);
+  return `${rounded} meters`;
+};
+
+/**
+ * Lower-case the first letter so an instruction reads naturally after "In 150 meters, "
+ * @param {string} text - Instruction text
+ * @returns {string}
+ */
+const lowerFirst = (text) => (text ? text.charAt(0).toLowerCase() + text.slice(1) : text);
+
+/**
+ * Build the sentence for an upcoming maneuver
+ * @param {Object|null} maneuverStep - Step whose start is the maneuver, or null for arrival
+ * @param {number|null} distanceM - Distance to the maneuver in meters, or null for "now"
+ * @returns {string} Announcement text
+ */
+export const buildManeuverAnnouncement = (maneuverStep, distanceM) => {
+  const instruction = maneuverStep ? maneuverStep.instruction : 'You will arrive at your destination';
+  if (distanceM === null || distanceM === undefined) {
+    return maneuverStep ? instruction : 'You are arriving at your destination';
+  }
+  return `In ${formatSpokenDistance(distanceM)}, ${lowerFirst(instruction)}`;
+};
+
+/**
+ * Decide whether an announcement is due for the upcoming maneuver.
+ * While on step N the upcoming maneuver is the start of step N + 1 (or the
+ * destination on the last step). Stages run from the largest threshold down to
+ * "now"; only the most urgent applicable stage is spoken, and stages skipped
+ * because the user was already closer are never replayed.
+ *
+ * @param {Object} params
+ * @param {Array} params.steps - Route steps with `instruction`
+ * @param {number} params.currentStepIndex - Index of the step the user is on
+ * @param {number|null} params.distanceToManeuverM - Meters to the end of the current step
+ * @param {Object} params.announced - Announcement state (see module docs)
+ * @param {Array} [params.thresholdsM] - Distance thresholds, largest first
+ * @returns {Object|null} `{ stepIndex, stage, text }` or null when nothing is due
+ */
+export const getDueAnnouncement = ({
+  steps,
+  currentStepIndex,
+  distanceToManeuverM,
+  announced = {},
+  thresholdsM = DEFAULT_ANNOUNCEMENT_THRESHOLDS_M,
+}) => {
+  if (!steps || steps.length === 0 || distanceToManeuverM === null || distanceToManeuverM === undefined) {
+    return null;
+  }
+  if (currentStepIndex < 0 || currentStepIndex >= steps.length) return null;
+
+  const maneuverIndex = currentStepIndex + 1; // steps.length means the destination
+  const maneuverStep = steps[maneuverIndex] || null;
+
+  // Stage indexes: 0..thresholds.length-1 for "in X meters", thresholds.length for "now"
+  const nowStage = thresholdsM.length;
+  let stage = -1;
+  if (distanceToManeuverM <= NOW_THRESHOLD_M) {
+    stage = nowStage;
+  } else {
+    for (let i = thresholdsM.length - 1; i >= 0; i--) {
+      if (distanceToManeuverM <= thresholdsM[i]) {
+        stage = i;
+        break;
+      }
+    }
+  }
+  if (stage < 0) return null;
+
+  const lastStage = announced[maneuverIndex];
+  if (lastStage !== undefined && lastStage >= stage) return null;
+
+  const text = stage === nowStage
+    ? buildManeuverAnnouncement(maneuverStep, null)
+    : buildManeuverAnnouncement(maneuverStep, distanceToManeuverM);
+
+  return { stepIndex: maneuverIndex, stage, text };
+};
+
+/**
+ * Record an announcement in the announcement state
+ * @param {Object} announced - Current announcement state
+ * @param {Object} announcement - Result of getDueAnnouncement
+ * @returns {Object} New announcement state
+ */
+export const markAnnounced = (announced, announcement) => {
+  if (!announcement) return announced;
+  return { ...announced, [announcement.stepIndex]: announcement.stage };
+};
+
+/**
+ * Announcement for a route recalculation
+ * @returns {string}
+ */
+export const buildRerouteAnnouncement = () => 'Rerouting';
+
+/**
+ * Announcement for arriving at the destination
+ * @param {string} [name] - Destination name
+ * @returns {string}
+ */
+export const buildArrivalAnnouncement = (name) =>
+  name ? `You have arrived at ${name}` : 'You have arrived at your destination';
+
+export default {
+  formatSpokenDistance,
+  buildManeuverAnnouncement,
+  getDueAnnouncement,
+  markAnnounced,
+  buildRerouteAnnouncement,
+  buildArrivalAnnouncement,
+};
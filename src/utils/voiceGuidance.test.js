@@ -0,0 +1,98 @@
+import {
+  formatSpokenDistance,
+  getDueAnnouncement,
+  markAnnounced,
+  buildArrivalAnnouncement,
+  NOW_THRESHOLD_M,
+} from './voiceGuidance';
+import { TRAVEL_MODES } from '../config/travelModes';
+
+const STEPS = [
+  { instruction: 'Head north on Main Street' },
+  { instruction: 'Turn right onto Park Road' },
+  { instruction: 'Turn left onto Hill Avenue' },
+];
+
+/**
+ * Drive towards the end of a step, one reading at a time, and collect what gets spoken
+ * @param {Array} distancesM - Distances to the maneuver, in order
+ * @param {Object} [options] - currentStepIndex, thresholdsM, announced
+ * @returns {Object} { spoken, announced }
+ */
+const approach = (distancesM, { currentStepIndex = 0, thresholdsM, announced = {} } = {}) => {
+  const spoken = [];
+  let state = announced;
+  distancesM.forEach((distanceToManeuverM) => {
+    const due = getDueAnnouncement({ steps: STEPS, currentStepIndex, distanceToManeuverM, announced: state, thresholdsM });
+    if (!due) return;
+    spoken.push(due);
+    state = markAnnounced(state, due);
+  });
+  return { spoken, announced: state };
+};
+
+describe('formatSpokenDistance', () => {
+  it('rounds to distances that are natural to say', () => {
+    expect(formatSpokenDistance(1480)).toBe('1.5 kilometers');
+    expect(formatSpokenDistance(1000)).toBe('1 kilometer');
+    expect(formatSpokenDistance(162)).toBe('150 meters');
+    expect(formatSpokenDistance(3)).toBe('10 meters');
+  });
+});
+
+describe('getDueAnnouncement', () => {
+  it.each(Object.values(TRAVEL_MODES).map((mode) => [mode.key, mode.guidanceThresholdsM]))(
+    'announces each %s stage once, at its threshold, then "now"',
+    (mode, thresholdsM) => {
+      const [far, near] = thresholdsM;
+      const { spoken } = approach([far + 50, far, far - 1, near + 1, near, NOW_THRESHOLD_M + 1, NOW_THRESHOLD_M, 5], { thresholdsM });
+
+      expect(spoken.map((due) => due.stage)).toEqual([0, 1, 2]);
+      expect(spoken[0].text).toBe(`In ${formatSpokenDistance(far)}, turn right onto Park Road`);
+      expect(spoken[1].text).toBe(`In ${formatSpokenDistance(near)}, turn right onto Park Road`);
+      expect(spoken[2].text).toBe('Turn right onto Park Road');
+      spoken.forEach((due) => expect(due.stepIndex).toBe(1));
+    }
+  );
+
+  it('stays quiet beyond the first threshold', () => {
+    expect(approach([2000, 800, 501]).spoken).toEqual([]);
+  });
+
+  it('never replays a stage that was skipped by already being closer', () => {
+    // First reading comes in inside the near threshold: the far stage is never spoken, even if the
+    // next reading jumps back out (GPS noise)
+    const { spoken } = approach([120, 400, 140, 20, 200]);
+    expect(spoken.map((due) => due.stage)).toEqual([1, 2]);
+  });
+
+  it('starts over for the next maneuver once the step changes', () => {
+    const first = approach([500, 150, 20]);
+    expect(first.spoken).toHaveLength(3);
+
+    // On step 1 the upcoming maneuver is step 2, which has nothing announced yet
+    const next = approach([480, 140, 10], { currentStepIndex: 1, announced: first.announced });
+    expect(next.spoken.map((due) => [due.stepIndex, due.stage])).toEqual([[2, 0], [2, 1], [2, 2]]);
+    expect(next.spoken[2].text).toBe('Turn left onto Hill Avenue');
+  });
+
+  it('announces the destination on the last step', () => {
+    const { spoken } = approach([450, 100, 25], { currentStepIndex: 2 });
+    expect(spoken.map((due) => due.stepIndex)).toEqual([3, 3, 3]);
+    expect(spoken[0].text).toBe('In 450 meters, you will arrive at your destination');
+    expect(spoken[2].text).toBe('You are arriving at your destination');
+  });
+
+  it('returns nothing without steps, a distance or a valid step', () => {
+    expect(getDueAnnouncement({ steps: [], currentStepIndex: 0, distanceToManeuverM: 10 })).toBeNull();
+    expect(getDueAnnouncement({ steps: STEPS, currentStepIndex: 0, distanceToManeuverM: null })).toBeNull();
+    expect(getDueAnnouncement({ steps: STEPS, currentStepIndex: 5, distanceToManeuverM: 10 })).toBeNull();
+  });
+});
+
+describe('buildArrivalAnnouncement', () => {
+  it('names the destination when it has a name', () => {
+    expect(buildArrivalAnnouncement('Central Station')).toBe('You have arrived at Central Station');
+    expect(buildArrivalAnnouncement()).toBe('You have arrived at your destination');
+  });
+});